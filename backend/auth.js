@@ -0,0 +1,150 @@
+/**
+ * API Key Authentication
+ *
+ * Works out who is making a request, so tasks can belong to someone and
+ * callers only see and touch their own.
+ *
+ * KEY CONCEPTS:
+ * - Each key maps to a principal: { id, role }. The id becomes task.owner.
+ * - Two roles: 'user' sees only its own tasks; 'admin' sees everything and
+ *   can use the /admin routes.
+ * - Keys are compared by their SHA-256 hash, so a lookup takes the same time
+ *   whether a guess is close or not, and raw keys aren't kept around.
+ * - Sent as `Authorization: Bearer <key>` (or `X-API-Key: <key>`). GET
+ *   requests may use `?apiKey=<key>` instead, because EventSource and <img>
+ *   can't set headers. Query strings end up in logs, so prefer the header.
+ *
+ * With no keys configured, authentication is off and every request acts as
+ * an admin named "anonymous" - the out-of-the-box local setup keeps working.
+ */
+
+const crypto = require('crypto');
+
+const ROLES = {
+  USER: 'user',
+  ADMIN: 'admin'
+};
+
+// Open to everyone, even with keys configured (load balancer health checks)
+const PUBLIC_PATHS = new Set(['/health']);
+
+const ANONYMOUS = Object.freeze({ id: 'anonymous', role: ROLES.ADMIN });
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Parse "alice:key1,bob:key2" into [{ id, key }]
+ */
+function parseKeyList(value) {
+  if (!value) return [];
+
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0 || separator === entry.length - 1) {
+      throw new Error(`Invalid API key entry "${entry}" - expected <name>:<key>`);
+    }
+    return { id: entry.slice(0, separator), key: entry.slice(separator + 1) };
+  });
+}
+
+class ApiKeyAuth {
+  /**
+   * @param {object[]} keys - { id, key, role } for every accepted key
+   */
+  constructor(keys = []) {
+    // SHA-256 of the key → principal
+    this.principals = new Map();
+
+    for (const { id, key, role = ROLES.USER } of keys) {
+      this.principals.set(hashKey(key), Object.freeze({ id, role }));
+    }
+
+    this.authenticate = this.authenticate.bind(this);
+    this.requireAdmin = this.requireAdmin.bind(this);
+  }
+
+  /**
+   * Build from environment variables
+   *
+   *   API_KEYS=alice:sk_alice_123,bob:sk_bob_456
+   *   ADMIN_API_KEYS=ops:sk_admin_789
+   */
+  static fromEnv(env = process.env) {
+    return new ApiKeyAuth([
+      ...parseKeyList(env.API_KEYS).map(entry => ({ ...entry, role: ROLES.USER })),
+      ...parseKeyList(env.ADMIN_API_KEYS).map(entry => ({ ...entry, role: ROLES.ADMIN }))
+    ]);
+  }
+
+  get enabled() {
+    return this.principals.size > 0;
+  }
+
+  /**
+   * The principal a key belongs to, or null
+   */
+  identify(key) {
+    if (!key) return null;
+    return this.principals.get(hashKey(key)) || null;
+  }
+
+  /**
+   * The key a request carries, if any
+   */
+  keyFrom(req) {
+    const header = req.get('Authorization');
+    if (header && header.startsWith('Bearer ')) return header.slice(7).trim();
+    if (req.get('X-API-Key')) return req.get('X-API-Key');
+    if (req.method === 'GET' && typeof req.query.apiKey === 'string') return req.query.apiKey;
+    return null;
+  }
+
+  /**
+   * Express middleware: sets req.principal, or answers 401
+   */
+  authenticate(req, res, next) {
+    if (!this.enabled) {
+      req.principal = ANONYMOUS;
+      return next();
+    }
+    if (PUBLIC_PATHS.has(req.path)) return next();
+
+    const principal = this.identify(this.keyFrom(req));
+    if (!principal) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'A valid API key is required (Authorization: Bearer <key>)'
+      });
+    }
+
+    req.principal = principal;
+    next();
+  }
+
+  /**
+   * Express middleware for admin-only routes (use after authenticate)
+   */
+  requireAdmin(req, res, next) {
+    if (req.principal?.role === ROLES.ADMIN) return next();
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'This endpoint requires an admin API key'
+    });
+  }
+
+  /**
+   * Can this principal see and change things owned by `owner`?
+   * Tasks from before authentication existed have no owner - admins only.
+   */
+  canAccess(principal, owner) {
+    if (!principal) return false;
+    return principal.role === ROLES.ADMIN || (owner != null && owner === principal.id);
+  }
+}
+
+ApiKeyAuth.ROLES = ROLES;
+
+module.exports = ApiKeyAuth;
@@ -0,0 +1,142 @@
+/**
+ * Circuit Breaker
+ *
+ * Stops sending requests to a provider that is clearly down, instead of
+ * letting every task discover that on its own.
+ *
+ * KEY CONCEPTS:
+ * - CLOSED: normal operation, requests flow through
+ * - OPEN: too many consecutive retryable failures - requests are blocked
+ *   until the cooldown passes
+ * - HALF_OPEN: cooldown over - exactly one "probe" request is let through.
+ *   Success closes the circuit; failure opens it again for another cooldown.
+ *
+ * WHY: Without a breaker, an outage means every task burns through its full
+ * retry ladder against a dead endpoint. With one, tasks wait in the queue
+ * (keeping their retries) and a single probe finds out when it's back.
+ * Same pattern as Netflix Hystrix, resilience4j, Polly.
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - what this breaker protects (the provider name)
+   * @param {object} options
+   * @param {number} options.failureThreshold - consecutive retryable failures before opening
+   * @param {number} options.cooldownMs - how long to stay open before probing
+   * @param {function} options.onStateChange - called with the status snapshot on every transition
+   */
+  constructor(name, { failureThreshold = 5, cooldownMs = 30000, onStateChange = null } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.onStateChange = onStateChange;
+
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Would a request be let through right now? (does not change state)
+   * The worker uses this to decide whether to dispatch a task at all.
+   */
+  isAvailable() {
+    switch (this.state) {
+      case STATES.CLOSED:
+        return true;
+      case STATES.OPEN:
+        return Date.now() >= this.openedAt + this.cooldownMs;
+      case STATES.HALF_OPEN:
+        return !this.probeInFlight;
+    }
+    return false;
+  }
+
+  /**
+   * Ask to make a request. Returns false if the circuit blocks it.
+   * In half-open state this claims the single probe slot.
+   */
+  allowRequest() {
+    if (this.state === STATES.OPEN && Date.now() >= this.openedAt + this.cooldownMs) {
+      this.transition(STATES.HALF_OPEN);
+    }
+
+    if (this.state === STATES.CLOSED) return true;
+
+    if (this.state === STATES.HALF_OPEN && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * The provider answered - even a permanent error (e.g. 403) proves it's up
+   */
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    this.probeInFlight = false;
+
+    if (this.state !== STATES.CLOSED) {
+      this.openedAt = null;
+      this.transition(STATES.CLOSED);
+    }
+  }
+
+  /**
+   * A retryable failure (timeout, 429, 5xx, network error)
+   */
+  recordFailure() {
+    this.consecutiveFailures++;
+
+    if (this.state === STATES.HALF_OPEN) {
+      // The probe failed - back to open for another full cooldown
+      this.probeInFlight = false;
+      this.openedAt = Date.now();
+      this.transition(STATES.OPEN);
+    } else if (this.state === STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.transition(STATES.OPEN);
+    }
+  }
+
+  /**
+   * A request we let through was cancelled before the provider answered
+   * It says nothing about the provider's health - just free the probe slot
+   */
+  abandonRequest() {
+    this.probeInFlight = false;
+  }
+
+  transition(state) {
+    this.state = state;
+    console.log(`[Circuit] ${this.name} → ${state.toUpperCase()}`);
+    if (this.onStateChange) this.onStateChange(this.getStatus());
+  }
+
+  /**
+   * Snapshot for the API / SSE
+   */
+  getStatus() {
+    return {
+      provider: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt,
+      nextProbeAt: this.state === STATES.OPEN ? this.openedAt + this.cooldownMs : null
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
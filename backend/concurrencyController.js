@@ -0,0 +1,130 @@
+/**
+ * Adaptive Concurrency Controller
+ *
+ * Decides how many tasks may call the provider at once, based on how the
+ * provider is actually behaving - instead of a fixed number copied from
+ * some API's documentation.
+ *
+ * KEY CONCEPTS:
+ * - AIMD (Additive Increase, Multiplicative Decrease) - the algorithm TCP uses
+ *   for congestion control. Grow slowly while things go well (+1 per full
+ *   window of successes), back off hard at the first sign of overload (halve).
+ * - Latency as an early warning: if responses get much slower than the best
+ *   we've seen, the provider is queueing our requests - stop growing.
+ * - Floor and ceiling keep the limit in a sane range.
+ *
+ * WHY HALVE ON 429 / TIMEOUT ONLY: those two mean "you're sending too much".
+ * A 500 or a 403 says nothing about load, so they leave the limit alone.
+ */
+
+const OVERLOAD_ERROR_CODES = ['HTTP_429', 'TIMEOUT'];
+
+class ConcurrencyController {
+  constructor({
+    initial = 5,
+    floor = 1,
+    ceiling = 10,
+    decreaseFactor = 0.5,
+    latencyTolerance = 2, // stop growing when latency exceeds baseline × this
+    decreaseCooldownMs = 5000,
+    historySize = 50
+  } = {}) {
+    this.floor = floor;
+    this.ceiling = Math.max(floor, ceiling);
+    this.limit = Math.min(this.ceiling, Math.max(this.floor, initial));
+    this.decreaseFactor = decreaseFactor;
+    this.latencyTolerance = latencyTolerance;
+    this.decreaseCooldownMs = decreaseCooldownMs;
+    this.historySize = historySize;
+
+    // Successes since the last change - we grow once per full window (= limit)
+    this.successesInWindow = 0;
+
+    // Latency tracking (EWMA = exponentially weighted moving average)
+    this.latencyEwma = null;
+    this.baselineLatency = null; // Lowest recent EWMA - our "healthy" reference
+    this.EWMA_ALPHA = 0.2;
+
+    this.lastDecreaseAt = 0;
+
+    // Recent limit changes: [{ at, limit, reason }]
+    this.history = [{ at: Date.now(), limit: this.limit, reason: 'initial' }];
+  }
+
+  /**
+   * A provider call succeeded after `latencyMs`
+   * Returns true if the limit changed.
+   */
+  recordSuccess(latencyMs) {
+    if (Number.isFinite(latencyMs)) {
+      this.latencyEwma = this.latencyEwma === null
+        ? latencyMs
+        : this.EWMA_ALPHA * latencyMs + (1 - this.EWMA_ALPHA) * this.latencyEwma;
+      // The baseline creeps up 1% per sample so a provider that got permanently
+      // slower doesn't block growth forever
+      this.baselineLatency = this.baselineLatency === null
+        ? this.latencyEwma
+        : Math.min(this.baselineLatency * 1.01, this.latencyEwma);
+    }
+
+    // Latency has drifted well above baseline - hold steady rather than push harder
+    if (this.latencyEwma !== null && this.latencyEwma > this.baselineLatency * this.latencyTolerance) {
+      this.successesInWindow = 0;
+      return false;
+    }
+
+    this.successesInWindow++;
+    if (this.successesInWindow >= this.limit && this.limit < this.ceiling) {
+      this.successesInWindow = 0;
+      return this.setLimit(this.limit + 1, 'increase');
+    }
+
+    return false;
+  }
+
+  /**
+   * A provider call failed
+   * Returns true if the limit changed.
+   */
+  recordFailure(errorCode) {
+    if (!OVERLOAD_ERROR_CODES.includes(errorCode)) return false;
+
+    this.successesInWindow = 0;
+
+    // Several in-flight requests usually fail from the same overload burst -
+    // count them as one signal, not one halving each
+    const now = Date.now();
+    if (now - this.lastDecreaseAt < this.decreaseCooldownMs) return false;
+    this.lastDecreaseAt = now;
+
+    return this.setLimit(Math.floor(this.limit * this.decreaseFactor), `decrease (${errorCode})`);
+  }
+
+  setLimit(value, reason) {
+    const next = Math.min(this.ceiling, Math.max(this.floor, value));
+    if (next === this.limit) return false;
+
+    this.limit = next;
+    this.history.push({ at: Date.now(), limit: next, reason });
+    if (this.history.length > this.historySize) this.history.shift();
+
+    console.log(`[Concurrency] Limit → ${next} (${reason})`);
+    return true;
+  }
+
+  /**
+   * Snapshot for getStats()
+   */
+  getStatus() {
+    return {
+      limit: this.limit,
+      floor: this.floor,
+      ceiling: this.ceiling,
+      latencyEwma: this.latencyEwma === null ? null : Math.round(this.latencyEwma),
+      baselineLatency: this.baselineLatency === null ? null : Math.round(this.baselineLatency),
+      history: this.history
+    };
+  }
+}
+
+module.exports = ConcurrencyController;
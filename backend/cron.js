@@ -0,0 +1,155 @@
+/**
+ * Cron Expressions
+ *
+ * Parses standard 5-field cron expressions and works out when they next fire.
+ *
+ *   ┌───────── minute (0-59)
+ *   │ ┌─────── hour (0-23)
+ *   │ │ ┌───── day of month (1-31)
+ *   │ │ │ ┌─── month (1-12 or jan-dec)
+ *   │ │ │ │ ┌─ day of week (0-7 or sun-sat, 0 and 7 are Sunday)
+ *   0 2 * * *   → every night at 02:00
+ *
+ * Each field takes `*`, numbers, lists (`1,15`), ranges (`1-5`) and steps
+ * (`*\/15`, `0-30/10`). The shortcuts @hourly, @daily (@midnight), @weekly,
+ * @monthly and @yearly (@annually) are also accepted.
+ *
+ * KEY CONCEPTS:
+ * - Times are in the server's local time zone (set TZ to change it)
+ * - Like Vixie cron, when both day of month and day of week are restricted
+ *   (neither starts with *), a day matching EITHER one fires ("the 1st, and
+ *   every Monday"). Otherwise both must match.
+ * - Finding the next time skips whole months, days and hours that can't
+ *   match instead of testing every minute
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// Give up looking after this many years - e.g. "0 0 31 2 *" (Feb 31st) never fires
+const SEARCH_LIMIT_YEARS = 5;
+
+/**
+ * Parse one field into the set of values it allows
+ */
+function parseField(text, { name, min, max, names }) {
+  const values = new Set();
+
+  const toNumber = (token) => {
+    const index = names ? names.indexOf(token.toLowerCase()) : -1;
+    const value = index !== -1 ? index + (name === 'month' ? 1 : 0) : Number(token);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`Invalid ${name} "${token}" - expected ${min}-${max}`);
+    }
+    return value;
+  };
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in ${name}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [min, max];
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(toNumber);
+      if (start > end) throw new Error(`Invalid ${name} range "${range}"`);
+    } else {
+      start = toNumber(range);
+      end = stepText === undefined ? start : max; // "5/15" means from 5, every 15
+    }
+
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+
+  return values;
+}
+
+class CronExpression {
+  /**
+   * @param {string} expression - e.g. "0 2 * * *" or "@daily"
+   * @throws {Error} with a message saying what's wrong
+   */
+  constructor(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+      throw new Error('Cron expression is required');
+    }
+
+    this.expression = expression.trim();
+    const fields = (SHORTCUTS[this.expression.toLowerCase()] || this.expression).split(/\s+/);
+    if (fields.length !== 5) {
+      throw new Error(`Cron expression must have 5 fields (minute hour day month weekday), got ${fields.length}`);
+    }
+
+    [this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] =
+      fields.map((text, i) => parseField(text, FIELDS[i]));
+
+    // 7 is another way to write Sunday
+    if (this.daysOfWeek.delete(7)) this.daysOfWeek.add(0);
+
+    // As in Vixie cron, a day field starting with * ("*", "*/2") counts as
+    // unrestricted, and then a day must match both fields - "0 0 */2 * 1" is
+    // odd days that are also Mondays, not odd days plus every Monday
+    this.dayOfMonthRestricted = !fields[2].startsWith('*');
+    this.dayOfWeekRestricted = !fields[4].startsWith('*');
+  }
+
+  matchesDay(date) {
+    const dayOfMonth = this.daysOfMonth.has(date.getDate());
+    const dayOfWeek = this.daysOfWeek.has(date.getDay());
+
+    if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) return dayOfMonth || dayOfWeek;
+    return dayOfMonth && dayOfWeek;
+  }
+
+  /**
+   * The first time strictly after `after` that this expression fires
+   * @returns {number|null} ms timestamp, or null if it never does
+   */
+  next(after = Date.now()) {
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(after);
+    limit.setFullYear(limit.getFullYear() + SEARCH_LIMIT_YEARS);
+
+    while (date <= limit) {
+      if (!this.months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+      } else if (!this.minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+      } else {
+        return date.getTime();
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = CronExpression;
@@ -0,0 +1,138 @@
+/**
+ * ETA Estimator
+ *
+ * Predicts when each waiting task will start, from how long tasks have
+ * actually been taking and how many can run at once.
+ *
+ * KEY CONCEPTS:
+ * - EWMA (exponentially weighted moving average) of attempt durations:
+ *   each new duration moves the average `alpha` of the way towards it, so
+ *   the estimate follows the provider getting slower or faster without being
+ *   thrown around by one outlier. Until the first attempt finishes we use
+ *   `defaultTaskMs`.
+ * - Parallel slots: with 5 slots, the 6th task in line starts when the first
+ *   running task finishes - not after 5 full task times.
+ * - Retrying tasks: they rejoin the queue at nextRetryAt, usually ahead of
+ *   newer tasks (their priority score is older), so they take slots that
+ *   pending tasks behind them would otherwise get.
+ *
+ * The estimate is a small simulation of the scheduler: repeatedly take the
+ * earliest moment a slot frees up, and give it to the task that is ready by
+ * then and that the scheduling policy would pick (see fairScheduler.js).
+ */
+
+/**
+ * Global priority order - lowest score first, oldest first on a tie
+ */
+function bestScored(tasks) {
+  return tasks.reduce((best, task) =>
+    (task.priorityScore - best.priorityScore || task.createdAt - best.createdAt || task.sequence - best.sequence) < 0 ? task : best
+  );
+}
+
+class EtaEstimator {
+  constructor({ alpha = 0.2, defaultTaskMs = 30000 } = {}) {
+    this.alpha = alpha;
+    this.defaultTaskMs = defaultTaskMs;
+
+    this.averageMs = null; // null until the first observation
+    this.samples = 0;
+  }
+
+  /**
+   * Build an estimator from environment variables
+   *
+   *   ETA_EWMA_ALPHA=0.2
+   *   ETA_DEFAULT_TASK_MS=30000
+   */
+  static fromEnv(env = process.env) {
+    const alpha = parseFloat(env.ETA_EWMA_ALPHA);
+    return new EtaEstimator({
+      alpha: alpha > 0 && alpha <= 1 ? alpha : 0.2,
+      defaultTaskMs: parseInt(env.ETA_DEFAULT_TASK_MS, 10) || 30000
+    });
+  }
+
+  /**
+   * Record how long an attempt held its slot
+   */
+  observe(durationMs) {
+    if (!Number.isFinite(durationMs) || durationMs < 0) return;
+
+    this.averageMs = this.averageMs === null
+      ? durationMs
+      : this.alpha * durationMs + (1 - this.alpha) * this.averageMs;
+    this.samples++;
+  }
+
+  /**
+   * Expected time one task holds a slot
+   */
+  get taskTime() {
+    return this.averageMs === null ? this.defaultTaskMs : this.averageMs;
+  }
+
+  /**
+   * Estimate when each waiting task will start
+   *
+   * @param {object} queue
+   * @param {number} queue.limit - concurrency slots
+   * @param {number[]} queue.runningSince - startedAt of each in-flight task
+   * @param {object[]} queue.waiting - { id, owner, readyAt, priorityScore, createdAt, sequence }
+   *   per pending (readyAt = now) or retrying (readyAt = nextRetryAt) task
+   * @param {function} queue.choose - picks the next task to start from the
+   *   ready ones (FairScheduler#simulate); defaults to the best-scored task
+   * @returns {Map<string, number>} taskId → estimated start time (ms timestamp)
+   */
+  estimate({ limit, runningSince, waiting, choose = bestScored }, now = Date.now()) {
+    const taskTime = this.taskTime;
+    const slots = Math.max(1, limit);
+
+    // When each busy slot frees up. A task already past the average is
+    // assumed to be nearly done rather than done this instant.
+    const busyUntil = runningSince
+      .map(startedAt => now + Math.max(taskTime - (now - startedAt), taskTime * 0.1))
+      .sort((a, b) => a - b);
+
+    const remaining = [...waiting];
+    const starts = new Map();
+    let time = now;
+
+    while (remaining.length > 0) {
+      // Wait for a free slot (after a concurrency cut there may be more
+      // tasks running than slots)
+      while (busyUntil.length >= slots) {
+        time = Math.max(time, busyUntil.shift());
+      }
+
+      // The scheduler's pick among the ready tasks; if none is, jump to the first retry
+      let ready = remaining.filter(task => task.readyAt <= time);
+      if (ready.length === 0) {
+        time = Math.min(...remaining.map(task => task.readyAt));
+        ready = remaining.filter(task => task.readyAt <= time);
+      }
+
+      const task = choose(ready);
+      remaining.splice(remaining.indexOf(task), 1);
+      starts.set(task.id, time);
+
+      const finish = time + taskTime;
+      const position = busyUntil.findIndex(end => end > finish);
+      busyUntil.splice(position === -1 ? busyUntil.length : position, 0, finish);
+    }
+
+    return starts;
+  }
+
+  /**
+   * Snapshot for getStats()
+   */
+  getStatus() {
+    return {
+      averageTaskTime: Math.round(this.taskTime),
+      samples: this.samples
+    };
+  }
+}
+
+module.exports = EtaEstimator;
@@ -0,0 +1,141 @@
+/**
+ * Event Stream
+ *
+ * The Server-Sent Events side of QueueManager: the connected clients, the
+ * event ids, and a replay buffer so a client that reconnects can catch up.
+ *
+ * KEY CONCEPTS:
+ * - Every broadcast gets an `id:` line, increasing by one each time. The
+ *   browser remembers the last one and sends it back as Last-Event-ID when
+ *   it reconnects.
+ * - A bounded replay buffer of recent events. If everything the client
+ *   missed is still in it, we replay just those events - no snapshot needed.
+ *   If the buffer has rolled past the client's id, it gets a fresh snapshot.
+ * - Heartbeat comments (": heartbeat") keep idle connections alive through
+ *   proxies that close a connection after N seconds of silence. They only
+ *   run while someone is connected.
+ * - Audiences: an event can be limited to one owner's clients. Each client
+ *   brings a `canSee(owner)` check; the stream itself knows nothing about
+ *   users. Ids stay global, so a client may see gaps - that's fine, it only
+ *   ever sends back the last id it saw.
+ *
+ * WHY START IDS AT THE CURRENT TIME: ids must keep increasing across
+ * restarts. A client holding id 5000 from the previous process must not
+ * look "caught up" to a new process that has only reached 12. Starting from
+ * Date.now() makes every new process's ids larger than the old one's.
+ */
+
+class EventStream {
+  constructor({ bufferSize = 1000, heartbeatMs = 15000 } = {}) {
+    // res → canSee(owner) for that client
+    this.clients = new Map();
+
+    this.lastId = Date.now();
+    this.buffer = []; // [{ id, frame, audience }] - oldest first
+    this.bufferSize = bufferSize;
+
+    this.heartbeatMs = heartbeatMs;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Register a client
+   *
+   * `lastEventId` is what the client sent back (or null on a first connect).
+   * `sendSnapshot(send)` is called when the client needs the full state;
+   * `send(event, data)` writes one event to this client.
+   * `canSee(owner)` decides which owner-limited events reach this client.
+   *
+   * Returns 'replay' or 'snapshot', for logging.
+   */
+  addClient(res, lastEventId, sendSnapshot, canSee = () => true) {
+    this.clients.set(res, canSee);
+    res.on('close', () => {
+      this.clients.delete(res);
+      if (this.clients.size === 0) this.stopHeartbeat();
+    });
+    this.startHeartbeat();
+
+    const missed = this.eventsSince(lastEventId);
+    if (missed) {
+      for (const { frame, audience } of missed) {
+        if (!audience || canSee(audience.owner)) res.write(frame);
+      }
+      return 'replay';
+    }
+
+    // Snapshot events carry the current id, so the client's next
+    // Last-Event-ID means "I have everything up to here"
+    sendSnapshot((event, data) => res.write(this.formatFrame(event, data, this.lastId)));
+    return 'snapshot';
+  }
+
+  /**
+   * Events after `lastEventId`, or null if we can't be sure we have them all
+   */
+  eventsSince(lastEventId) {
+    const lastSeen = Number(lastEventId);
+    if (lastEventId === null || lastEventId === undefined || lastEventId === '' || !Number.isInteger(lastSeen)) {
+      return null;
+    }
+
+    // From the future (a different server, or a clock that went backwards)
+    if (lastSeen > this.lastId) return null;
+
+    // Everything after lastSeen must still be buffered
+    const oldest = this.buffer.length > 0 ? this.buffer[0].id : this.lastId + 1;
+    if (lastSeen < oldest - 1) return null;
+
+    return this.buffer.filter(entry => entry.id > lastSeen);
+  }
+
+  /**
+   * Send an event to every client that may see it, and remember it for replay
+   * The frame is serialized once, so the buffer holds the data as it was then
+   *
+   * `audience` is null (everyone) or { owner } (clients whose canSee(owner) is true)
+   */
+  broadcast(event, data, audience = null) {
+    const id = ++this.lastId;
+    const frame = this.formatFrame(event, data, id);
+
+    this.buffer.push({ id, frame, audience });
+    if (this.buffer.length > this.bufferSize) this.buffer.shift();
+
+    for (const [client, canSee] of this.clients) {
+      if (!audience || canSee(audience.owner)) client.write(frame);
+    }
+  }
+
+  formatFrame(event, data, id) {
+    return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+    this.heartbeatTimer = setInterval(() => {
+      for (const client of this.clients.keys()) {
+        client.write(': heartbeat\n\n');
+      }
+    }, this.heartbeatMs);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Snapshot for getStats()
+   */
+  getStatus() {
+    return {
+      clients: this.clients.size,
+      lastEventId: this.lastId,
+      buffered: this.buffer.length,
+      oldestBufferedId: this.buffer.length > 0 ? this.buffer[0].id : null
+    };
+  }
+}
+
+module.exports = EventStream;
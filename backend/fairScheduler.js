@@ -0,0 +1,257 @@
+/**
+ * Fair Scheduler
+ *
+ * Decides whose pending task runs next, so one submitter dropping 80 prompts
+ * at once doesn't make everyone who submits after them wait for all 80.
+ *
+ * KEY CONCEPTS:
+ * - One priority queue per submitter (task owner). Within a submitter, tasks
+ *   keep the usual order - priority plus aging (see queue.js).
+ * - The policy only chooses WHICH submitter's next task goes:
+ *   - 'fifo': whoever's next task has the best score - the old global order.
+ *     A big submission runs before anything submitted after it.
+ *   - 'round-robin': take turns, one task each, in a fixed order of names.
+ *   - 'weighted': weighted fair queuing. Each task a submitter starts costs
+ *     1/weight of "virtual time"; the submitter furthest behind goes next.
+ *     Weight 3 against weight 1 gets 3 of every 4 slots while both are busy.
+ * - No saving up: a submitter who was idle rejoins at the current virtual
+ *   time. Being away for an hour doesn't buy an hour of exclusive slots.
+ * - Work-conserving: if only one submitter has tasks waiting, they get every
+ *   slot. Fairness only matters when there's contention.
+ *
+ * WHY VIRTUAL TIME, NOT COUNTERS: "tasks started per submitter" grows forever
+ * and a newcomer would start at 0, far ahead of everyone. The virtual clock
+ * only moves as tasks start, so everyone is compared from the same point.
+ *
+ * Heap entries are deleted lazily, as in priorityQueue.js - `isLive(entry)`
+ * says whether an entry still stands for a pending task.
+ */
+
+const PriorityQueue = require('./priorityQueue');
+
+const POLICIES = ['fifo', 'round-robin', 'weighted'];
+
+/**
+ * Parse "alice:3,bob:1" into { alice: 3, bob: 1 }
+ */
+function parseWeights(value) {
+  const weights = {};
+  if (!value) return weights;
+
+  for (const entry of value.split(',').map(part => part.trim()).filter(Boolean)) {
+    const separator = entry.lastIndexOf(':');
+    const weight = parseFloat(entry.slice(separator + 1));
+    if (separator <= 0 || !(weight > 0)) {
+      throw new Error(`Invalid scheduling weight "${entry}" - expected <owner>:<positive number>`);
+    }
+    weights[entry.slice(0, separator)] = weight;
+  }
+  return weights;
+}
+
+class FairScheduler {
+  /**
+   * @param {object} options
+   * @param {string} options.policy - 'fifo' | 'round-robin' | 'weighted'
+   * @param {object} options.weights - owner → weight (only used by 'weighted')
+   * @param {number} options.defaultWeight - weight of owners not listed
+   * @param {(a, b) => number} options.compare - order within one submitter
+   * @param {(entry) => boolean} options.isLive - false for stale heap entries
+   */
+  constructor({ policy = 'weighted', weights = {}, defaultWeight = 1, compare, isLive = () => true } = {}) {
+    if (!POLICIES.includes(policy)) {
+      throw new Error(`Unknown scheduling policy "${policy}". Available: ${POLICIES.join(', ')}`);
+    }
+
+    this.policy = policy;
+    this.weights = new Map(Object.entries(weights));
+    this.defaultWeight = defaultWeight;
+    this.compare = compare;
+    this.isLive = isLive;
+
+    // owner → PriorityQueue of that owner's pending entries
+    this.queues = new Map();
+
+    // Who has been served how much - see pickOwner()
+    this.state = FairScheduler.emptyState();
+  }
+
+  /**
+   * Build a scheduler from environment variables
+   *
+   *   SCHEDULING_POLICY=weighted
+   *   SCHEDULING_WEIGHTS=alice:3,bob:1
+   *   SCHEDULING_DEFAULT_WEIGHT=1
+   */
+  static fromEnv(compare, isLive, env = process.env) {
+    return new FairScheduler({
+      policy: env.SCHEDULING_POLICY || 'weighted',
+      weights: parseWeights(env.SCHEDULING_WEIGHTS),
+      defaultWeight: parseFloat(env.SCHEDULING_DEFAULT_WEIGHT) > 0 ? parseFloat(env.SCHEDULING_DEFAULT_WEIGHT) : 1,
+      compare,
+      isLive
+    });
+  }
+
+  static emptyState() {
+    return {
+      virtualTime: 0,
+      finishTags: new Map(), // owner → virtual time at which its last task's turn ends
+      lastOwner: undefined, // For round-robin
+      previousOwner: undefined // lastOwner before that, for refund()
+    };
+  }
+
+  weightOf(owner) {
+    return this.weights.get(owner) ?? this.defaultWeight;
+  }
+
+  push(entry) {
+    const owner = entry.owner ?? null;
+    if (!this.queues.has(owner)) this.queues.set(owner, new PriorityQueue(this.compare));
+    this.queues.get(owner).push(entry);
+  }
+
+  clear() {
+    this.queues.clear();
+    this.state = FairScheduler.emptyState();
+  }
+
+  /**
+   * The entry that should run next, or null - doesn't remove it
+   * (the caller may not be able to start it yet, e.g. its circuit is open)
+   */
+  peek() {
+    const heads = new Map();
+
+    for (const [owner, queue] of this.queues) {
+      // Discard stale entries as they surface
+      while (queue.size > 0 && !this.isLive(queue.peek())) queue.pop();
+
+      if (queue.size > 0) {
+        heads.set(owner, queue.peek());
+      } else {
+        this.queues.delete(owner);
+      }
+    }
+
+    if (heads.size === 0) return null;
+    return heads.get(this.pickOwner(heads, this.state));
+  }
+
+  /**
+   * Record that one of `owner`'s tasks started - moves its turn along
+   */
+  charge(owner) {
+    this.chargeState(owner ?? null, this.state);
+  }
+
+  /**
+   * Undo charge() for a task that was started but never ran (see releaseTask
+   * in queue.js) - otherwise the submitter pays for that turn twice.
+   *
+   * The virtual clock stays where it is: others may have started since, and
+   * their turns were real. Only this owner's finish tag moves back.
+   */
+  refund(owner) {
+    owner = owner ?? null;
+
+    if (this.state.lastOwner === owner) {
+      this.state.lastOwner = this.state.previousOwner;
+    }
+
+    const finish = this.state.finishTags.get(owner);
+    if (finish === undefined) return; // Already level with the clock
+
+    const refunded = finish - 1 / this.weightOf(owner);
+    if (refunded <= this.state.virtualTime) {
+      this.state.finishTags.delete(owner);
+    } else {
+      this.state.finishTags.set(owner, refunded);
+    }
+  }
+
+  /**
+   * Choose among submitters with something waiting
+   *
+   * @param {Map} heads - owner → that owner's next entry
+   * @param {object} state - { virtualTime, finishTags, lastOwner }
+   */
+  pickOwner(heads, state) {
+    const owners = [...heads.keys()];
+
+    if (this.policy === 'fifo') {
+      return owners.reduce((best, owner) => (this.compare(heads.get(owner), heads.get(best)) < 0 ? owner : best));
+    }
+
+    if (this.policy === 'round-robin') {
+      const sorted = owners.sort((a, b) => String(a ?? '').localeCompare(String(b ?? '')));
+      if (state.lastOwner === undefined) return sorted[0];
+      const lastName = String(state.lastOwner ?? '');
+      return sorted.find(owner => String(owner ?? '').localeCompare(lastName) > 0) ?? sorted[0];
+    }
+
+    // Weighted: the earliest virtual start time goes first, ties by task order
+    const startTag = (owner) => Math.max(state.finishTags.get(owner) ?? 0, state.virtualTime);
+    return owners.reduce((best, owner) => {
+      const difference = startTag(owner) - startTag(best);
+      if (difference !== 0) return difference < 0 ? owner : best;
+      return this.compare(heads.get(owner), heads.get(best)) < 0 ? owner : best;
+    });
+  }
+
+  chargeState(owner, state) {
+    state.previousOwner = state.lastOwner;
+    state.lastOwner = owner;
+
+    const start = Math.max(state.finishTags.get(owner) ?? 0, state.virtualTime);
+    state.virtualTime = start;
+    state.finishTags.set(owner, start + 1 / this.weightOf(owner));
+
+    // Tags at or behind the clock say nothing that max(tag, clock) doesn't
+    for (const [other, finish] of state.finishTags) {
+      if (finish <= state.virtualTime) state.finishTags.delete(other);
+    }
+  }
+
+  /**
+   * A throwaway copy of the policy state, for planning ahead (ETA estimates)
+   * Returns choose(items): picks from `items` (each with an owner, in any
+   * order) the one this policy would start next, and charges it.
+   */
+  simulate() {
+    const state = {
+      virtualTime: this.state.virtualTime,
+      finishTags: new Map(this.state.finishTags),
+      lastOwner: this.state.lastOwner,
+      previousOwner: this.state.previousOwner
+    };
+
+    return (items) => {
+      const heads = new Map();
+      for (const item of items) {
+        const owner = item.owner ?? null;
+        const head = heads.get(owner);
+        if (!head || this.compare(item, head) < 0) heads.set(owner, item);
+      }
+
+      const owner = this.pickOwner(heads, state);
+      this.chargeState(owner, state);
+      return heads.get(owner);
+    };
+  }
+
+  /**
+   * Snapshot for getStats()
+   */
+  getStatus() {
+    return {
+      policy: this.policy,
+      defaultWeight: this.defaultWeight
+    };
+  }
+}
+
+FairScheduler.POLICIES = POLICIES;
+
+module.exports = FairScheduler;
@@ -0,0 +1,82 @@
+/**
+ * Generation Options
+ *
+ * Validation for the per-task image parameters accepted by POST /tasks.
+ *
+ * Every field is optional - anything left out is filled in by the provider
+ * (its default size and model, and a random seed). The provider then reports
+ * what it actually used in `result.parameters`, so any image can be
+ * regenerated exactly by submitting those parameters again.
+ */
+
+const LIMITS = {
+  MIN_SIZE: 64,
+  MAX_SIZE: 2048,
+  MAX_SEED: 2147483647, // Pollinations seeds are 32-bit signed ints
+  MAX_NEGATIVE_PROMPT: 500,
+  MAX_MODEL_LENGTH: 50
+};
+
+/**
+ * Validate raw request input and return a clean options object
+ *
+ * Throws an Error with a user-facing message if anything is invalid.
+ * Only known fields are copied, so unexpected keys never reach a provider.
+ */
+function validateGenerationOptions(input) {
+  if (input === undefined || input === null) return {};
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Options must be an object');
+  }
+
+  const options = {};
+
+  for (const field of ['width', 'height']) {
+    if (input[field] === undefined) continue;
+    const value = input[field];
+    if (!Number.isInteger(value) || value < LIMITS.MIN_SIZE || value > LIMITS.MAX_SIZE) {
+      throw new Error(`${field} must be an integer between ${LIMITS.MIN_SIZE} and ${LIMITS.MAX_SIZE}`);
+    }
+    options[field] = value;
+  }
+
+  if (input.model !== undefined) {
+    if (typeof input.model !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/i.test(input.model) ||
+        input.model.length > LIMITS.MAX_MODEL_LENGTH) {
+      throw new Error('model must be a short name made of letters, digits, ".", "_" or "-"');
+    }
+    options.model = input.model;
+  }
+
+  if (input.seed !== undefined) {
+    if (!Number.isInteger(input.seed) || input.seed < 0 || input.seed > LIMITS.MAX_SEED) {
+      throw new Error(`seed must be an integer between 0 and ${LIMITS.MAX_SEED}`);
+    }
+    options.seed = input.seed;
+  }
+
+  if (input.negativePrompt !== undefined) {
+    if (typeof input.negativePrompt !== 'string' || input.negativePrompt.length > LIMITS.MAX_NEGATIVE_PROMPT) {
+      throw new Error(`negativePrompt must be a string of ${LIMITS.MAX_NEGATIVE_PROMPT} characters or less`);
+    }
+    if (input.negativePrompt.trim()) {
+      options.negativePrompt = input.negativePrompt.trim();
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Pick a random seed in the valid range
+ */
+function randomSeed() {
+  return Math.floor(Math.random() * 1000000);
+}
+
+module.exports = {
+  validateGenerationOptions,
+  randomSeed,
+  LIMITS
+};
@@ -0,0 +1,77 @@
+/**
+ * Image Store
+ *
+ * Keeps the bytes of every generated image on local disk, so results don't
+ * depend on the provider's CDN still having them.
+ *
+ * KEY CONCEPTS:
+ * - Content addressing: a file is named after the SHA-256 of its bytes.
+ *   The same image generated twice (same prompt + seed) is stored once, and a
+ *   file's name proves what's in it.
+ * - Write-then-rename, like store.js, so a crash never leaves a half-written
+ *   file under a valid name.
+ * - Files never change once written, which is what lets /images/:taskId be
+ *   cached forever by browsers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_IMAGE_DIR = path.join(__dirname, '../data/images');
+
+// File extension per content type (anything else is stored as .bin)
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg'
+};
+
+class ImageStore {
+  constructor(imageDir = process.env.IMAGE_STORE_DIR || DEFAULT_IMAGE_DIR) {
+    this.imageDir = imageDir;
+  }
+
+  /**
+   * Save image bytes and describe what was stored
+   * Resolves with { hash, size, contentType }
+   */
+  async save(data, contentType) {
+    const type = (contentType || 'application/octet-stream').split(';')[0].trim();
+    const hash = crypto.createHash('sha256').update(data).digest('hex');
+    const filePath = this.pathFor(hash, type);
+
+    await fs.promises.mkdir(this.imageDir, { recursive: true });
+
+    // Already stored - identical bytes, nothing to write
+    if (!fs.existsSync(filePath)) {
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpPath, data);
+      await fs.promises.rename(tmpPath, filePath);
+    }
+
+    return { hash, size: data.length, contentType: type };
+  }
+
+  /**
+   * Where the image with this hash and content type lives on disk
+   */
+  pathFor(hash, contentType) {
+    const extension = EXTENSIONS[contentType] || 'bin';
+    return path.join(this.imageDir, `${hash}.${extension}`);
+  }
+
+  /**
+   * Delete a stored image (ignores images that are already gone)
+   */
+  remove(hash, contentType) {
+    fs.rmSync(this.pathFor(hash, contentType), { force: true });
+  }
+}
+
+// Singleton instance
+const imageStore = new ImageStore();
+
+module.exports = imageStore;
@@ -0,0 +1,86 @@
+/**
+ * Local Placeholder Image Provider
+ *
+ * A stand-in provider that never touches the network. It renders a simple
+ * SVG placeholder for the prompt and hands back the bytes - the worker saves
+ * them in the image store like any other provider's output.
+ *
+ * WHY HAVE IT:
+ * - Develop the UI offline
+ * - A last-resort fallback when the real provider is down
+ * - Shows that the worker only depends on the provider interface
+ */
+
+const crypto = require('crypto');
+const { randomSeed } = require('./generationOptions');
+
+class LocalProvider {
+  constructor() {
+    this.name = 'local';
+    this.width = 1024;
+    this.height = 1024;
+  }
+
+  /**
+   * Generate a placeholder image for a prompt
+   *
+   * Same contract as PollinationsClient.generateImage:
+   * resolves with { image: { data, contentType }, generatedAt, processingTime, ... }
+   * or throws an Error with `code` and `isRetryable` set.
+   */
+  async generateImage(prompt, options = {}, onProgress, signal) {
+    const startTime = Date.now();
+    // Rendering is near-instant, so a cancel can only land before we start
+    if (signal?.aborted) {
+      const cancelError = new Error('Image generation was cancelled');
+      cancelError.code = 'CANCELLED';
+      cancelError.isRetryable = false;
+      throw cancelError;
+    }
+    if (onProgress) onProgress(10);
+
+    // Model is echoed back but has no effect on a placeholder
+    const parameters = {
+      width: options.width ?? this.width,
+      height: options.height ?? this.height,
+      model: options.model ?? 'placeholder',
+      seed: options.seed ?? randomSeed()
+    };
+    if (options.negativePrompt) parameters.negativePrompt = options.negativePrompt;
+
+    const data = Buffer.from(this.renderSvg(prompt, parameters));
+
+    if (onProgress) onProgress(100);
+
+    return {
+      image: { data, contentType: 'image/svg+xml' },
+      sourceUrl: null,
+      generatedAt: Date.now(),
+      processingTime: Date.now() - startTime,
+      model: parameters.model,
+      parameters
+    };
+  }
+
+  /**
+   * Render a placeholder SVG with the prompt text
+   * The hue is derived from the prompt and seed, so the same inputs always look the same
+   */
+  renderSvg(prompt, { width, height, seed }) {
+    const hash = crypto.createHash('md5').update(`${seed}:${prompt}`).digest('hex');
+    const hue = parseInt(hash.slice(0, 6), 16) % 360;
+    const text = prompt.length > 60 ? `${prompt.slice(0, 57)}...` : prompt;
+    const escaped = text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <rect width="100%" height="100%" fill="hsl(${hue}, 45%, 30%)"/>
+  <text x="50%" y="50%" fill="#ffffff" font-family="monospace" font-size="32" text-anchor="middle">${escaped}</text>
+</svg>
+`;
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,176 @@
+/**
+ * Metrics
+ *
+ * Counters, histograms and gauges rendered in the Prometheus text format
+ * for GET /metrics.
+ *
+ * WHY: /stats says what the queue looks like right now. A scraper that reads
+ * these every 15s can graph how it got there - throughput, latency
+ * percentiles, retry storms, a provider starting to return 503s.
+ *
+ * KEY CONCEPTS:
+ * - Counter: only goes up (tasks completed, retries). Graph it with rate().
+ * - Histogram: counts observations into buckets (e.g. "waited ≤ 5s"), so the
+ *   scraper can estimate percentiles with histogram_quantile().
+ * - Gauge: a current value, read when scraped (queue depth, SSE clients)
+ * - Labels split one metric into series, e.g. retries by error code. Keep
+ *   label values to small, fixed sets - every distinct value is a new series.
+ *
+ * Everything lives in memory and starts from zero when the process starts -
+ * Prometheus expects that, and rate() handles the reset.
+ */
+
+/**
+ * Render a label set as {a="1",b="2"} - also used as the series key
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const parts = entries.map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return `{${parts.join(',')}}`;
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.values = new Map(); // rendered labels → value
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = formatLabels(labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  render() {
+    return [...this.values].map(([labels, value]) => `${this.name}${labels} ${value}`);
+  }
+}
+
+class Histogram {
+  /**
+   * @param {number[]} buckets - upper bounds, ascending (+Inf is added automatically)
+   */
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.buckets = buckets;
+    this.series = new Map(); // rendered labels → { labels, counts, sum, count }
+  }
+
+  observe(labels, value) {
+    const key = formatLabels(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+
+    const series = this.series.get(key);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [];
+    for (const [key, { labels, counts, sum, count }] of this.series) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${key} ${sum}`);
+      lines.push(`${this.name}_count${key} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class Gauge {
+  /**
+   * @param {function} collect - called at scrape time; returns a number, or
+   *   an array of { labels, value } for a labelled gauge
+   */
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.type = 'gauge';
+    this.collect = collect;
+  }
+
+  render() {
+    const value = this.collect();
+    const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+    return samples.map(sample => `${this.name}${formatLabels(sample.labels)} ${sample.value}`);
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  register(metric) {
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * Every metric in the Prometheus text exposition format
+   */
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.render());
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+// Singleton registry, with the metrics QueueManager and Worker record into
+// (gauges are registered by QueueManager, which owns the state they read)
+const registry = new MetricsRegistry();
+
+module.exports = {
+  registry,
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+
+  tasksFinished: registry.counter(
+    'taskqueue_tasks_finished_total',
+    'Tasks that reached a terminal state, by state'
+  ),
+  retries: registry.counter(
+    'taskqueue_retries_total',
+    'Retries scheduled, by the error code of the failed attempt'
+  ),
+  providerResponses: registry.counter(
+    'taskqueue_provider_responses_total',
+    'Provider responses by HTTP status (the error code when there was no HTTP response)'
+  ),
+  queueWait: registry.histogram(
+    'taskqueue_queue_wait_seconds',
+    'Time a task spent pending before an attempt started',
+    [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]
+  ),
+  processingTime: registry.histogram(
+    'taskqueue_processing_seconds',
+    'Duration of each processing attempt, by outcome',
+    [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120]
+  )
+};
@@ -16,13 +16,18 @@
  * - Error classification (retryable vs permanent)
  */
 
+const { randomSeed } = require('./generationOptions');
+const { NETWORK_ERROR_CODES } = require('./retryPolicies');
+
 // Pollinations image endpoint - just encode prompt in URL
 const POLLINATIONS_BASE_URL = 'https://image.pollinations.ai/prompt';
 
 class PollinationsClient {
   constructor() {
+    this.name = 'pollinations'; // Registry key - see providers.js
     // No API key needed!
     this.timeout = 120000; // 2 minute timeout per task
+    // Defaults - each task can override these through its generation options
     this.model = 'flux'; // Default model - fast and good quality
     this.width = 1024;
     this.height = 1024;
@@ -34,44 +39,66 @@ class PollinationsClient {
    * Pollinations is simpler than Replicate:
    * - No "create prediction then poll" dance
    * - Just make a GET request with the prompt in the URL
-   * - The response IS the image (or redirects to CDN URL)
+   * - The response IS the image (or redirects to CDN URL) - we return its
+   *   bytes for the image store, plus the URL it came from
    * 
    * We still simulate progress for the UI since we don't get
    * real progress updates from Pollinations.
+   * 
+   * WHY RETURN THE PARAMETERS: Pollinations is deterministic for a given
+   * prompt + seed + size + model. Reporting exactly what we sent (including the
+   * seed we picked) is what makes an image reproducible later.
+   * 
+   * `signal` (an AbortSignal) lets the caller cancel the request mid-flight -
+   * the worker aborts it when the task is cancelled.
    */
-  async generateImage(prompt, onProgress) {
+  async generateImage(prompt, options = {}, onProgress, signal) {
     const startTime = Date.now();
 
+    const parameters = {
+      width: options.width ?? this.width,
+      height: options.height ?? this.height,
+      model: options.model ?? this.model,
+      seed: options.seed ?? randomSeed()
+    };
+    if (options.negativePrompt) parameters.negativePrompt = options.negativePrompt;
+
     // Build the URL with parameters
     const encodedPrompt = encodeURIComponent(prompt);
-    const seed = Math.floor(Math.random() * 1000000);
-    const imageUrl = `${POLLINATIONS_BASE_URL}/${encodedPrompt}?width=${this.width}&height=${this.height}&model=${this.model}&nologo=true&seed=${seed}`;
+    const query = new URLSearchParams({
+      width: parameters.width,
+      height: parameters.height,
+      model: parameters.model,
+      nologo: 'true',
+      seed: parameters.seed
+    });
+    if (parameters.negativePrompt) query.set('negative_prompt', parameters.negativePrompt);
+    const imageUrl = `${POLLINATIONS_BASE_URL}/${encodedPrompt}?${query}`;
 
     // Simulate initial progress
     if (onProgress) onProgress(10);
 
+    // Create an AbortController for timeout
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    // Simulate progress while waiting
+    const progressInterval = setInterval(() => {
+      const elapsed = Date.now() - startTime;
+      // Estimate ~20 seconds for generation, cap at 90%
+      const estimatedProgress = Math.min(90, 10 + Math.floor((elapsed / 20000) * 80));
+      if (onProgress) onProgress(estimatedProgress);
+    }, 1000);
+
     try {
-      // Create an AbortController for timeout
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-      // Simulate progress while waiting
-      const progressInterval = setInterval(() => {
-        const elapsed = Date.now() - startTime;
-        // Estimate ~20 seconds for generation, cap at 90%
-        const estimatedProgress = Math.min(90, 10 + Math.floor((elapsed / 20000) * 80));
-        if (onProgress) onProgress(estimatedProgress);
-      }, 1000);
-
-      // Make the actual request - Pollinations generates and returns the image
-      // We fetch it to ensure it's generated successfully before returning the URL
+      // Make the actual request - Pollinations generates and returns the image,
+      // and we download its bytes so the worker can store them
+      // Either our timeout or the caller's cancellation aborts it
+      // (AbortSignal.any needs Node 20.3+ - see "engines" in package.json)
       const response = await fetch(imageUrl, {
-        signal: controller.signal
+        signal: signal ? AbortSignal.any([controller.signal, signal]) : controller.signal
       });
 
-      clearTimeout(timeoutId);
-      clearInterval(progressInterval);
-
       if (!response.ok) {
         const error = await this.parseError(response);
         throw error;
@@ -86,17 +113,29 @@ class PollinationsClient {
         throw error;
       }
 
-      // Success! The imageUrl is now cached and ready to serve
+      // Keep the bytes we just downloaded - the worker stores them locally,
+      // so the browser doesn't have to fetch the image from Pollinations again
+      const data = Buffer.from(await response.arrayBuffer());
+
       if (onProgress) onProgress(100);
 
       return {
-        imageUrl: imageUrl,
+        image: { data, contentType },
+        sourceUrl: imageUrl,
         generatedAt: Date.now(),
         processingTime: Date.now() - startTime,
-        model: this.model
+        model: parameters.model,
+        parameters
       };
 
     } catch (error) {
+      if (signal?.aborted) {
+        const cancelError = new Error('Image generation was cancelled');
+        cancelError.code = 'CANCELLED';
+        cancelError.isRetryable = false;
+        throw cancelError;
+      }
+
       if (error.name === 'AbortError') {
         const timeoutError = new Error('Image generation timed out');
         timeoutError.code = 'TIMEOUT';
@@ -105,11 +144,17 @@ class PollinationsClient {
       }
 
       // Network errors are retryable
-      if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND' || error.code === 'UND_ERR_CONNECT_TIMEOUT') {
+      // fetch() wraps them in a generic TypeError - the real code is on error.cause
+      const networkCode = error.code || error.cause?.code;
+      if (NETWORK_ERROR_CODES.includes(networkCode)) {
+        error.code = networkCode;
         error.isRetryable = true;
       }
 
       throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      clearInterval(progressInterval);
     }
   }
 
@@ -133,9 +178,32 @@ class PollinationsClient {
     error.statusCode = response.status;
     error.isRetryable = this.isRetryableStatusCode(response.status);
 
+    const retryAfterMs = this.parseRetryAfter(response.headers.get('retry-after'));
+    if (retryAfterMs !== null) error.retryAfterMs = retryAfterMs;
+
     return error;
   }
 
+  /**
+   * Parse a Retry-After header into milliseconds from now
+   * 
+   * The header comes in two forms:
+   * - Delay in seconds: "Retry-After: 30"
+   * - HTTP date: "Retry-After: Wed, 21 Oct 2026 07:28:00 GMT"
+   * Returns null if it's missing or unreadable.
+   */
+  parseRetryAfter(value) {
+    if (!value) return null;
+
+    if (/^\d+$/.test(value.trim())) {
+      return parseInt(value, 10) * 1000;
+    }
+
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) return null;
+    return Math.max(0, date - Date.now());
+  }
+
   /**
    * Determine if an HTTP status code indicates a retryable error
    * 
@@ -0,0 +1,88 @@
+/**
+ * Binary Min-Heap Priority Queue
+ *
+ * Used by QueueManager to pick the next pending task without scanning
+ * every task on every worker tick.
+ *
+ * KEY CONCEPTS:
+ * - push / pop / peek in O(log n) / O(log n) / O(1)
+ * - Lazy deletion: entries are never removed from the middle of the heap.
+ *   Instead, callers mark them stale and they're discarded when they reach the top.
+ *   This keeps the heap simple - removing an arbitrary element needs an index map.
+ */
+
+class PriorityQueue {
+  /**
+   * @param {(a, b) => number} compare - negative if a should come out before b
+   */
+  constructor(compare) {
+    this.compare = compare;
+    this.heap = [];
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  push(item) {
+    this.heap.push(item);
+    this.siftUp(this.heap.length - 1);
+  }
+
+  peek() {
+    return this.heap[0];
+  }
+
+  pop() {
+    const top = this.heap[0];
+    const last = this.heap.pop();
+
+    if (this.heap.length > 0) {
+      this.heap[0] = last;
+      this.siftDown(0);
+    }
+
+    return top;
+  }
+
+  clear() {
+    this.heap = [];
+  }
+
+  /**
+   * Items in priority order (does not modify the heap)
+   */
+  toSortedArray() {
+    return [...this.heap].sort(this.compare);
+  }
+
+  siftUp(index) {
+    const { heap } = this;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.compare(heap[index], heap[parent]) >= 0) break;
+      [heap[index], heap[parent]] = [heap[parent], heap[index]];
+      index = parent;
+    }
+  }
+
+  siftDown(index) {
+    const { heap } = this;
+    const length = heap.length;
+
+    while (true) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let smallest = index;
+
+      if (left < length && this.compare(heap[left], heap[smallest]) < 0) smallest = left;
+      if (right < length && this.compare(heap[right], heap[smallest]) < 0) smallest = right;
+      if (smallest === index) break;
+
+      [heap[index], heap[smallest]] = [heap[smallest], heap[index]];
+      index = smallest;
+    }
+  }
+}
+
+module.exports = PriorityQueue;
@@ -0,0 +1,93 @@
+/**
+ * Image Provider Registry
+ *
+ * The worker doesn't know which service generates an image - it looks up
+ * a provider by name here and calls it.
+ *
+ * PROVIDER INTERFACE:
+ *   {
+ *     name: string,
+ *     generateImage(prompt, options, onProgress, signal)
+ *       → Promise<{ image: { data, contentType }, sourceUrl, generatedAt,
+ *                   processingTime, model, parameters }>
+ *   }
+ *   `options` are the task's generation options (see generationOptions.js);
+ *   `onProgress(percent)` reports progress (0-100) while it works.
+ *   `signal` is an AbortSignal - when it fires (the task was cancelled), stop
+ *   and throw an Error with code 'CANCELLED' and isRetryable = false.
+ *   `image.data` is a Buffer of the image bytes and `contentType` its MIME
+ *   type - the worker saves them in the image store (see imageStore.js).
+ *   `sourceUrl` is where the image came from (null if it was made locally).
+ *   `parameters` must report every value actually used, including the seed.
+ *   Failures throw an Error with `code` and `isRetryable` set, exactly like
+ *   PollinationsClient does. That classification is what drives fallback and retries.
+ *
+ * Adding another HTTP provider means writing a class with that shape and
+ * calling providerRegistry.register() - nothing in the worker changes.
+ */
+
+const PollinationsClient = require('./pollinations');
+const LocalProvider = require('./localProvider');
+const SimulatedProvider = require('./simulatedProvider');
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+
+    // Which provider new tasks use, and where they fall back to on retryable errors
+    // MOCK_MODE=true switches the default to the offline fault-injection simulator
+    const mockMode = process.env.MOCK_MODE === 'true';
+    this.defaultProvider = process.env.DEFAULT_PROVIDER || (mockMode ? 'simulated' : 'pollinations');
+    this.defaultFallback = process.env.FALLBACK_PROVIDER || null;
+  }
+
+  /**
+   * Register a provider under its name
+   */
+  register(provider) {
+    if (!provider.name || typeof provider.generateImage !== 'function') {
+      throw new Error('Provider must have a name and a generateImage() method');
+    }
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Look up a provider by name
+   */
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  /**
+   * Names of all registered providers
+   */
+  list() {
+    return [...this.providers.keys()];
+  }
+
+  /**
+   * Providers to try for a task, in order: primary, then fallback (if any)
+   */
+  getChain(task) {
+    const chain = [this.get(task.provider || this.defaultProvider)];
+
+    const fallbackName = task.fallbackProvider;
+    if (fallbackName && fallbackName !== task.provider && this.has(fallbackName)) {
+      chain.push(this.get(fallbackName));
+    }
+
+    return chain.filter(Boolean);
+  }
+}
+
+// Singleton instance with the built-in providers
+const providerRegistry = new ProviderRegistry();
+providerRegistry.register(new PollinationsClient());
+providerRegistry.register(new LocalProvider());
+providerRegistry.register(SimulatedProvider.fromEnv());
+
+module.exports = providerRegistry;
@@ -5,34 +5,169 @@
  * concurrency limits, and coordinating with SSE for real-time updates.
  * 
  * KEY CONCEPTS DEMONSTRATED:
- * - FIFO queue processing
- * - Concurrency limiting (max 5 concurrent API calls)
- * - State machine (pending → processing → completed/failed)
+ * - Fair scheduling across submitters (see fairScheduler.js)
+ * - Dispatch control (pause, resume, and drain before a shutdown)
+ * - Adaptive concurrency limiting (AIMD - see concurrencyController.js)
+ * - State machine (scheduled → pending → processing → completed/failed/cancelled)
  * - Event-driven updates (broadcast changes to all connected clients)
+ * - Event-driven scheduling (the worker is told when there's work, it never polls)
+ * - Durable state (every change is journaled so a restart loses nothing)
+ * - Dead-letter queue (permanently failed tasks are parked for inspection and replay)
+ * - Attempt history (every try is recorded, not just the last error)
+ * - Retention (finished tasks are evicted by age and count - see retention.js)
+ * - Idempotency keys and a result cache (duplicate requests don't mean duplicate work)
  */
 
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
+const TaskStore = require('./store');
+const FairScheduler = require('./fairScheduler');
+const ConcurrencyController = require('./concurrencyController');
+const RetentionPolicy = require('./retention');
+const imageStore = require('./imageStore');
+const ResultCache = require('./resultCache');
+const EventStream = require('./eventStream');
+const metrics = require('./metrics');
+const EtaEstimator = require('./etaEstimator');
+const { loadPolicies, policyNameFor } = require('./retryPolicies');
 
-class QueueManager {
+// Priority levels - higher number runs sooner
+const PRIORITY_LEVELS = {
+  low: 0,
+  normal: 1,
+  high: 2
+};
+const DEFAULT_PRIORITY = 'normal';
+
+/**
+ * Events for the worker and webhook dispatcher (separate from the SSE broadcasts to browsers):
+ * - 'work_available': a task may now be startable - one was queued, or a
+ *   concurrency slot was freed
+ * - 'retry_scheduled' (task): a task is waiting until task.nextRetryAt
+ * - 'task_scheduled' (task): a task is waiting until task.runAt
+ * - 'task_finished' (task): a task completed, or failed with no retries left
+ */
+class QueueManager extends EventEmitter {
   constructor() {
-    // In-memory task storage - in production you'd use Redis or a database
+    super();
+
+    // In-memory task storage, backed by an on-disk journal (see store.js)
+    // The Map is the source of truth at runtime; the store lets us rebuild it
     this.tasks = new Map();
+    this.store = new TaskStore();
+
+    // Dead-letter queue: tasks that failed for good, kept out of this.tasks so
+    // they don't clutter the live queue. Journaled separately.
+    this.deadLetters = new Map();
+    this.deadLetterStore = new TaskStore(
+      process.env.DLQ_STORE_PATH || path.join(path.dirname(this.store.filePath), 'dead-letters.jsonl')
+    );
     
     // Track how many tasks are currently being processed
-    // This is how we respect Replicate's 5-concurrent-request limit
     this.currentlyProcessing = 0;
-    this.MAX_CONCURRENT = 5;
+
+    // One AbortController per processing task - cancelTask uses it to stop the request
+    this.abortControllers = new Map();
+
+    // How many may be processed at once - adjusted at runtime from provider feedback
+    this.concurrency = new ConcurrencyController({
+      initial: parseInt(process.env.CONCURRENCY_INITIAL, 10) || 5,
+      floor: parseInt(process.env.CONCURRENCY_MIN, 10) || 1,
+      ceiling: parseInt(process.env.CONCURRENCY_MAX, 10) || 10
+    });
     
     // Queue limits to prevent memory exhaustion
+    // Only unfinished work (pending, processing, retrying) counts - see getActiveCount()
     this.MAX_QUEUE_SIZE = 100;
+    // Tasks waiting for a future runAt have their own limit, per owner
+    this.MAX_SCHEDULED_PER_OWNER = parseInt(process.env.MAX_SCHEDULED_PER_OWNER, 10) || 100;
+
+    // Finished tasks are kept for the dashboard, then evicted (or archived)
+    this.retention = RetentionPolicy.fromEnv();
+    this.RETENTION_SWEEP_MS = parseInt(process.env.RETENTION_SWEEP_MS, 10) || 60000;
+    this.retentionTimer = null;
     
     // SSE clients - we'll broadcast updates to all connected clients
-    this.sseClients = new Set();
+    // Events carry ids and are buffered, so a reconnecting client can resume (see eventStream.js)
+    this.events = new EventStream({
+      bufferSize: parseInt(process.env.SSE_REPLAY_BUFFER, 10) || 1000,
+      heartbeatMs: parseInt(process.env.SSE_HEARTBEAT_MS, 10) || 15000
+    });
     
-    // Retry configuration
-    this.BASE_RETRY_DELAY = 2000; // 2 seconds
-    this.MAX_RETRY_DELAY = 60000; // 60 seconds max
-    this.MAX_RETRIES = 5;
+    // Retry configuration - delays and attempt limits per error code (see retryPolicies.js)
+    this.retryPolicies = loadPolicies();
+    this.MAX_RETRIES = this.retryPolicies.default.maxAttempts - 1;
+
+    // Never wait longer than this, even if the server's Retry-After asks us to
+    this.MAX_RETRY_AFTER = 600000; // 10 minutes
+
+    // Priority levels accepted by createTask
+    this.PRIORITY_LEVELS = PRIORITY_LEVELS;
+
+    // Priority aging: each priority level is worth this much waiting time.
+    // A 'high' task jumps ahead of 'normal' tasks submitted up to this long before it,
+    // but never ahead of older ones - so nothing waits forever.
+    this.PRIORITY_AGING_MS = parseInt(process.env.PRIORITY_AGING_MS, 10) || 120000; // 2 minutes
+
+    // Pending tasks: one heap per submitter ordered by priorityScore (lowest first),
+    // and a policy that picks whose turn it is (SCHEDULING_POLICY - see fairScheduler.js)
+    // pendingEntries maps taskId → its live heap entry; anything else in the heap is stale
+    // Tasks of one batch share a createdAt - `sequence` keeps them in submission order
+    this.pendingEntries = new Map();
+    this.nextSequence = 0;
+    this.scheduler = FairScheduler.fromEnv(
+      (a, b) => a.priorityScore - b.priorityScore || a.createdAt - b.createdAt || a.sequence - b.sequence,
+      (entry) => this.pendingEntries.get(entry.taskId) === entry && this.tasks.get(entry.taskId)?.state === 'pending'
+    );
+    // owner → share last sent to clients (see broadcastShares)
+    this.sentShares = new Map();
+
+    // Dispatch control - 'running', 'paused' (nothing new starts) or 'draining'
+    // (nothing new starts and no new tasks are accepted). Not journaled: a
+    // restart always comes back running.
+    this.dispatchControl = { state: 'running', changedAt: Date.now(), drainedAt: null };
+
+    // Circuit breaker status per provider (owned by the worker, relayed to clients here)
+    this.circuitStates = {};
+
+    // Batches: batchId → { id, createdAt, owner, taskIds: Set }
+    // Derived from each task's batchId, so restore() can rebuild it from the store
+    this.batches = new Map();
+
+    // [owner, Idempotency-Key] → taskId (also derived from the tasks themselves)
+    // Scoped per owner, so one caller's key can never return another caller's task
+    this.idempotencyKeys = new Map();
+
+    // Completed results that identical requests can reuse (off unless RESULT_CACHE=true)
+    this.resultCache = ResultCache.fromEnv();
+
+    // Start-time estimates for waiting tasks, learned from recent attempt durations
+    this.eta = EtaEstimator.fromEnv();
+    this.etaUpdateScheduled = false;
+    // taskId → estimatedStartAt last sent to clients; smaller moves aren't worth an event
+    this.sentEstimates = new Map();
+    this.ETA_CHANGE_THRESHOLD_MS = 1000;
+
+    this.registerGauges();
+  }
+
+  /**
+   * Gauges for /metrics - read from live state at scrape time (see metrics.js)
+   */
+  registerGauges() {
+    metrics.registry.gauge('taskqueue_queue_depth', 'Tasks waiting to run, by state', () => {
+      const depth = { scheduled: 0, pending: 0, retrying: 0 };
+      for (const task of this.tasks.values()) {
+        if (task.state in depth) depth[task.state]++;
+      }
+      return Object.entries(depth).map(([state, value]) => ({ labels: { state }, value }));
+    });
+    metrics.registry.gauge('taskqueue_in_flight_tasks', 'Tasks currently being processed', () => this.currentlyProcessing);
+    metrics.registry.gauge('taskqueue_concurrency_limit', 'Current adaptive concurrency limit', () => this.concurrency.limit);
+    metrics.registry.gauge('taskqueue_dead_letters', 'Tasks in the dead-letter queue', () => this.deadLetters.size);
+    metrics.registry.gauge('taskqueue_sse_clients', 'Connected SSE clients', () => this.events.clients.size);
   }
 
   /**
@@ -41,18 +176,62 @@ class QueueManager {
    * WHY WE RETURN IMMEDIATELY: The user doesn't wait for the image to generate.
    * They get a task ID back instantly, and can track progress via SSE.
    * This is async task processing - the foundation of scalable systems.
+   * 
+   * Options:
+   * - priority: 'low' | 'normal' | 'high'
+   * - provider: name of the image provider to use
+   * - fallbackProvider: provider to try when the primary fails with a retryable error
+   * - generationOptions: validated image parameters (size, model, seed, negativePrompt)
+   * - batchId: set by createBatch for tasks submitted together
+   * - idempotencyKey: the client's Idempotency-Key (see findByIdempotencyKey)
+   * - callbackUrl: where to POST the outcome once the task is done (see webhooks.js)
+   * - owner: id of the API key that submitted it (see auth.js)
+   * - runAt: don't start before this time (ms timestamp) - the task waits in
+   *   the 'scheduled' state until then, and the worker releases it
+   * - scheduleId: set by the recurring schedule that created it (see schedules.js)
+   * 
+   * With the result cache on, a request matching an earlier result is created
+   * already completed - it never enters the queue. Scheduled tasks skip the
+   * cache: they were asked to run later, not to be answered now.
    */
-  createTask(prompt) {
+  createTask(prompt, {
+    priority = DEFAULT_PRIORITY,
+    provider = null,
+    fallbackProvider = null,
+    generationOptions = {},
+    batchId = null,
+    idempotencyKey = null,
+    callbackUrl = null,
+    owner = null,
+    runAt = null,
+    scheduleId = null
+  } = {}) {
+    const isScheduled = runAt !== null && runAt > Date.now();
+    const cacheKey = this.resultCache.enabled
+      ? this.resultCache.keyFor({ prompt, provider, generationOptions, owner })
+      : null;
+    const cachedFrom = cacheKey && !isScheduled ? this.findCachedResult(cacheKey) : null;
+
+    this.assertAcceptingTasks();
+
     // Enforce queue limits - this is "backpressure"
     // Without limits, a flood of requests would exhaust memory
-    if (this.tasks.size >= this.MAX_QUEUE_SIZE) {
+    // (a cache hit adds no work, so it's always accepted)
+    if (isScheduled) {
+      this.assertScheduledCapacity(owner);
+    } else if (!cachedFrom && this.getActiveCount() >= this.MAX_QUEUE_SIZE) {
       throw new Error('Queue full - please wait for some tasks to complete');
     }
 
     const task = {
       id: `task_${uuidv4().slice(0, 8)}`,
       prompt: prompt.trim(),
-      state: 'pending',
+      state: isScheduled ? 'scheduled' : 'pending',
+      priority,
+      provider,
+      fallbackProvider,
+      generationOptions,
+      batchId,
       createdAt: Date.now(),
       startedAt: null,
       completedAt: null,
@@ -60,50 +239,363 @@ class QueueManager {
       error: null,
       retryCount: 0,
       maxRetries: this.MAX_RETRIES,
+      attempts: [],
       nextRetryAt: null,
-      progress: 0
+      progress: 0,
+      callbackUrl,
+      webhook: null,
+      owner,
+      runAt: isScheduled ? runAt : null,
+      scheduleId
     };
 
-    // Calculate estimated wait time based on queue position
-    task.estimatedWaitTime = this.calculateEstimatedWait();
+    if (cacheKey) task.cacheKey = cacheKey;
+    if (idempotencyKey) {
+      task.idempotencyKey = idempotencyKey;
+      task.requestFingerprint = this.requestFingerprint(prompt, { priority, provider, fallbackProvider, generationOptions, runAt, callbackUrl });
+      this.idempotencyKeys.set(this.idempotencyScope(idempotencyKey, owner), task.id);
+    }
+
+    task.priorityScore = this.calculatePriorityScore(task);
+    task.estimatedWaitTime = 0;
 
     this.tasks.set(task.id, task);
+    if (!cachedFrom) {
+      if (!isScheduled) this.enqueuePending(task);
+      // Estimate now so the response carries it (tasks behind it are updated on the next tick)
+      this.refreshEstimates();
+      this.sentEstimates.set(task.id, task.estimatedStartAt);
+    }
+    if (batchId) this.batches.get(batchId).taskIds.add(task.id);
+    this.persist(task);
     
     // Broadcast to all SSE clients that a new task was added
-    this.broadcast('task_submitted', task);
-    this.broadcastStats();
+    this.broadcastTo(task.owner, 'task_submitted', task);
 
+    if (cachedFrom) {
+      this.completeFromCache(task, cachedFrom);
+    } else {
+      this.broadcastStats();
+      this.scheduleEtaUpdate();
+      this.emit(isScheduled ? 'task_scheduled' : 'work_available', task);
+    }
+
+    return task;
+  }
+
+  /**
+   * Tasks waiting for their runAt
+   * The worker sets a timer for each when it starts (e.g. after a restart)
+   */
+  getScheduledTasks() {
+    return [...this.tasks.values()].filter(task => task.state === 'scheduled');
+  }
+
+  /**
+   * Refuse more scheduled tasks once the owner has MAX_SCHEDULED_PER_OWNER waiting
+   *
+   * WHY A SEPARATE LIMIT: a task due next week isn't using the queue, so it
+   * doesn't count toward MAX_QUEUE_SIZE - otherwise one user could fill the
+   * queue with far-future tasks and lock everyone else out until then. They
+   * still take memory, though, so each owner gets their own allowance.
+   *
+   * @throws {Error} with code SCHEDULED_LIMIT
+   */
+  assertScheduledCapacity(owner, count = 1) {
+    const waiting = this.getScheduledTasks().filter(task => task.owner === owner).length;
+    if (waiting + count > this.MAX_SCHEDULED_PER_OWNER) {
+      const error = new Error(`Too many scheduled tasks - at most ${this.MAX_SCHEDULED_PER_OWNER} per owner can wait for their runAt`);
+      error.code = 'SCHEDULED_LIMIT';
+      throw error;
+    }
+  }
+
+  /**
+   * A scheduled task's runAt has arrived - put it in line
+   *
+   * It joins the queue even if the queue is full - it was accepted when it
+   * was submitted, and a late run beats a silently dropped one.
+   */
+  releaseScheduled(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task || task.state !== 'scheduled') return null;
+
+    task.state = 'pending';
+    this.enqueuePending(task);
+    this.persist(task);
+
+    this.broadcastTo(task.owner, 'task_due', task);
+    this.broadcastBatchProgress(task);
+    this.broadcastStats();
+    this.scheduleEtaUpdate();
+    this.emit('work_available');
     return task;
   }
 
+  // === Idempotency & Result Cache ===
+
+  /**
+   * The task created by an earlier request with this Idempotency-Key, if it still exists
+   * 
+   * WHY: a double-click or a client retry after a timeout sends the same
+   * request twice. With a key, the second one gets the first one's task back
+   * instead of generating a duplicate. Keys live as long as their task does.
+   */
+  findByIdempotencyKey(key, owner = null) {
+    const scope = this.idempotencyScope(key, owner);
+    const taskId = this.idempotencyKeys.get(scope);
+    if (!taskId) return null;
+
+    const task = this.getTask(taskId);
+    if (!task) this.idempotencyKeys.delete(scope);
+    return task || null;
+  }
+
+  idempotencyScope(key, owner) {
+    return JSON.stringify([owner ?? null, key]);
+  }
+
+  /**
+   * Hash of everything a request asked for - a reused Idempotency-Key must
+   * come with the same request, or it's a client bug
+   */
+  requestFingerprint(prompt, { priority, provider, fallbackProvider, generationOptions, runAt = null, callbackUrl = null }) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([prompt.trim(), priority, provider, fallbackProvider, generationOptions, runAt, callbackUrl]))
+      .digest('hex');
+  }
+
+  /**
+   * The completed task whose result a request with this cache key can reuse
+   */
+  findCachedResult(cacheKey) {
+    const entry = this.resultCache.get(cacheKey);
+    const source = entry && this.tasks.get(entry.taskId);
+
+    // The task was evicted (or never got a stored image) - the entry is useless
+    if (!source || source.state !== 'completed' || !source.result?.hash) {
+      if (entry) this.resultCache.delete(cacheKey);
+      this.resultCache.misses++;
+      return null;
+    }
+
+    this.resultCache.hits++;
+    return source;
+  }
+
+  /**
+   * Complete a new task with a cached result
+   * 
+   * The image file is shared (the store is content-addressed), but the task
+   * gets its own /images URL, and the cache now points at it - so the cached
+   * result survives the original task being evicted.
+   */
+  completeFromCache(task, source) {
+    const now = Date.now();
+
+    task.state = 'completed';
+    task.startedAt = now;
+    task.completedAt = now;
+    task.progress = 100;
+    task.result = {
+      ...source.result,
+      imageUrl: `/images/${task.id}`,
+      processingTime: 0,
+      cacheHit: true,
+      cachedFrom: source.id
+    };
+
+    this.resultCache.set(task.cacheKey, task.id, task.result.generatedAt);
+    this.persist(task);
+    metrics.tasksFinished.inc({ state: 'completed' });
+
+    this.broadcastTo(task.owner, 'task_completed', task);
+    this.broadcastBatchProgress(task);
+    this.broadcastStats();
+    this.emit('task_finished', task);
+  }
+
+  // === Batches ===
+
+  /**
+   * Add many prompts at once under a single batch id
+   * 
+   * WHY ALL-OR-NOTHING: A half-accepted batch is worse than a rejected one -
+   * the caller would have to work out which prompts made it in and resubmit
+   * the rest. So we check capacity for the whole batch up front.
+   */
+  createBatch(prompts, options = {}) {
+    this.assertAcceptingTasks();
+
+    // The whole batch is scheduled or none of it is - same check as createTask
+    if (options.runAt != null && options.runAt > Date.now()) {
+      this.assertScheduledCapacity(options.owner ?? null, prompts.length);
+    } else if (this.getActiveCount() + prompts.length > this.MAX_QUEUE_SIZE) {
+      throw new Error('Queue full - batch does not fit in the queue');
+    }
+
+    const batch = {
+      id: `batch_${uuidv4().slice(0, 8)}`,
+      createdAt: Date.now(),
+      owner: options.owner ?? null,
+      taskIds: new Set()
+    };
+    this.batches.set(batch.id, batch);
+
+    const tasks = prompts.map(prompt => this.createTask(prompt, { ...options, batchId: batch.id }));
+
+    this.broadcastTo(batch.owner, 'batch_created', this.getBatchSummary(batch.id));
+    return { batch: this.getBatchSummary(batch.id), tasks };
+  }
+
+  /**
+   * Aggregate status for a batch
+   * 
+   * Progress counts finished tasks (completed, failed or cancelled) as 100%
+   * and in-flight tasks at their current progress, averaged over the batch.
+   */
+  getBatchSummary(batchId) {
+    const batch = this.batches.get(batchId);
+    if (!batch) return null;
+
+    const counts = { scheduled: 0, pending: 0, processing: 0, retrying: 0, completed: 0, failed: 0, cancelled: 0 };
+    let progressSum = 0;
+
+    for (const taskId of batch.taskIds) {
+      const task = this.tasks.get(taskId) || this.deadLetters.get(taskId);
+      if (!task) continue;
+      counts[task.state] = (counts[task.state] || 0) + 1;
+      progressSum += this.isTerminal(task) ? 100 : (task.progress || 0);
+    }
+
+    const total = batch.taskIds.size;
+    const finished = counts.completed + counts.failed + counts.cancelled;
+
+    return {
+      id: batch.id,
+      createdAt: batch.createdAt,
+      owner: batch.owner,
+      total,
+      counts,
+      progress: total > 0 ? Math.round(progressSum / total) : 100,
+      done: finished === total
+    };
+  }
+
+  /**
+   * Get all batch summaries (newest first)
+   */
+  getAllBatches() {
+    return [...this.batches.keys()]
+      .map(id => this.getBatchSummary(id))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Cancel every unfinished task in a batch, including ones mid-request
+   * Finished tasks are left as they are; the caller is told how many were cancelled.
+   */
+  cancelBatch(batchId) {
+    const batch = this.batches.get(batchId);
+    if (!batch) return null;
+
+    let cancelled = 0;
+    for (const taskId of batch.taskIds) {
+      if (this.cancelTask(taskId)) cancelled++;
+    }
+
+    return { id: batchId, cancelled };
+  }
+
+  /**
+   * Tell clients how a task's batch is doing after the task changed
+   */
+  broadcastBatchProgress(task) {
+    if (!task.batchId || !this.batches.has(task.batchId)) return;
+    this.broadcastTo(this.batches.get(task.batchId).owner, 'batch_progress', this.getBatchSummary(task.batchId));
+  }
+
   /**
    * Get the next pending task for processing
    * 
-   * WHY FIFO: First-In-First-Out is fair - tasks are processed in submission order.
-   * Alternative orderings (priority queues, LIFO) exist but FIFO is most intuitive.
+   * WHY A HEAP: The worker asks for the next task every tick. Scanning the whole
+   * Map each time is O(n); peeking a heap is O(1) (plus popping stale entries).
+   * With fair scheduling there's one heap per submitter, and the policy only
+   * compares their heads - O(submitters), not O(tasks).
+   * 
+   * Stale entries (tasks that started, were cancelled, or were re-queued with a
+   * newer entry) are discarded by the scheduler as they surface.
    */
   getNextPendingTask() {
-    // Find the oldest pending task (FIFO)
-    let oldestPending = null;
-    for (const task of this.tasks.values()) {
-      if (task.state === 'pending') {
-        if (!oldestPending || task.createdAt < oldestPending.createdAt) {
-          oldestPending = task;
-        }
-      }
-    }
-    return oldestPending;
+    const entry = this.scheduler.peek();
+    return entry ? this.tasks.get(entry.taskId) : null;
+  }
+
+  /**
+   * Calculate a task's scheduling score (lower runs first)
+   * 
+   * WHY AGING THIS WAY: Strict priority starves low-priority work - as long as
+   * high-priority tasks keep arriving, a low one never runs. Instead we treat
+   * priority as a head start in time: score = createdAt - level * PRIORITY_AGING_MS.
+   * 
+   * A low task's score is fixed, while every new task's score keeps growing with
+   * the clock. So after at most (2 * PRIORITY_AGING_MS) of waiting, a low task is
+   * ahead of anything new. The score never changes, so the heap stays valid.
+   * 
+   * A scheduled task ages from its runAt - waiting for its time isn't waiting
+   * in line, and shouldn't let it jump everything when it's released.
+   */
+  calculatePriorityScore(task) {
+    const level = PRIORITY_LEVELS[task.priority] ?? PRIORITY_LEVELS[DEFAULT_PRIORITY];
+    return (task.runAt ?? task.createdAt) - level * this.PRIORITY_AGING_MS;
+  }
+
+  /**
+   * Add a pending task to the priority queue
+   */
+  enqueuePending(task) {
+    const entry = {
+      taskId: task.id,
+      owner: task.owner ?? null,
+      priorityScore: task.priorityScore,
+      createdAt: task.createdAt,
+      sequence: this.nextSequence++,
+      enqueuedAt: Date.now() // For the queue wait metric
+    };
+    this.pendingEntries.set(task.id, entry);
+    this.scheduler.push(entry);
   }
 
   /**
    * Check if we have capacity to process another task
    * 
-   * WHY LIMIT CONCURRENCY: Replicate's API allows max 5 concurrent predictions.
-   * If we exceed this, we'll get rate-limited (429 errors).
+   * WHY LIMIT CONCURRENCY: Every API has a point where more parallel requests
+   * just get rate-limited (429 errors) or time out.
    * By tracking concurrency ourselves, we avoid hammering the API.
+   * 
+   * The limit isn't fixed - the concurrency controller raises it while the
+   * provider keeps up and cuts it when it pushes back.
    */
   hasCapacity() {
-    return this.currentlyProcessing < this.MAX_CONCURRENT;
+    return this.currentlyProcessing < this.concurrency.limit;
+  }
+
+  /**
+   * How many tasks still have work to do (what MAX_QUEUE_SIZE limits)
+   * 
+   * WHY NOT this.tasks.size: finished tasks stay around until retention evicts
+   * them. Counting them would make the queue refuse new work just because a
+   * lot of work was done recently.
+   * 
+   * Scheduled tasks don't count until their runAt arrives - see
+   * assertScheduledCapacity().
+   */
+  getActiveCount() {
+    let active = 0;
+    for (const task of this.tasks.values()) {
+      if (!this.isTerminal(task) && task.state !== 'scheduled') active++;
+    }
+    return active;
   }
 
   /**
@@ -113,26 +605,56 @@ class QueueManager {
     const task = this.tasks.get(taskId);
     if (!task) return null;
 
+    // Leaving the line: it's this submitter's turn used, and its heap entry is now stale
+    const entry = this.pendingEntries.get(taskId);
+    if (entry) {
+      metrics.queueWait.observe({}, (Date.now() - entry.enqueuedAt) / 1000);
+      this.scheduler.charge(task.owner);
+      this.pendingEntries.delete(taskId);
+    }
+
     task.state = 'processing';
     task.startedAt = Date.now();
     task.progress = 0;
     this.currentlyProcessing++;
+    this.abortControllers.set(taskId, new AbortController());
+
+    // Opened here, closed by completeTask / failTask
+    task.attempts = task.attempts || [];
+    task.attempts.push({
+      number: task.attempts.length + 1,
+      startedAt: task.startedAt,
+      endedAt: null,
+      duration: null,
+      outcome: 'running',
+      provider: task.provider
+    });
+    this.persist(task);
 
-    this.broadcast('task_started', task);
+    this.broadcastTo(task.owner, 'task_started', task);
+    this.broadcastBatchProgress(task);
     this.broadcastStats();
+    this.scheduleEtaUpdate();
 
     return task;
   }
 
+  /**
+   * The signal the worker passes to the provider for a processing task
+   */
+  getAbortSignal(taskId) {
+    return this.abortControllers.get(taskId)?.signal;
+  }
+
   /**
    * Update task progress (0-100)
    */
   updateProgress(taskId, progress) {
     const task = this.tasks.get(taskId);
-    if (!task) return;
+    if (!task || task.state !== 'processing') return;
 
     task.progress = Math.min(100, Math.max(0, progress));
-    this.broadcast('task_progress', { id: taskId, progress: task.progress });
+    this.broadcastTo(task.owner, 'task_progress', { id: taskId, progress: task.progress });
   }
 
   /**
@@ -140,17 +662,29 @@ class QueueManager {
    */
   completeTask(taskId, result) {
     const task = this.tasks.get(taskId);
-    if (!task) return null;
+    // Not processing any more means it was cancelled while the request was in flight
+    if (!task || task.state !== 'processing') return null;
 
     task.state = 'completed';
     task.completedAt = Date.now();
     task.result = result;
     task.progress = 100;
+    if (task.cacheKey && result?.hash) {
+      this.resultCache.set(task.cacheKey, task.id, result.generatedAt);
+    }
     this.currentlyProcessing--;
+    this.abortControllers.delete(taskId);
+    this.finishAttempt(task, { outcome: 'success', provider: result?.provider });
+    this.concurrency.recordSuccess(result?.processingTime);
+    metrics.tasksFinished.inc({ state: 'completed' });
+    this.persist(task);
 
-    this.broadcast('task_completed', task);
+    this.broadcastTo(task.owner, 'task_completed', task);
+    this.broadcastBatchProgress(task);
     this.broadcastStats();
-    this.updateEstimatedWaitTimes();
+    this.scheduleEtaUpdate();
+    this.emit('work_available');
+    this.emit('task_finished', task);
 
     return task;
   }
@@ -166,14 +700,29 @@ class QueueManager {
    */
   failTask(taskId, error, isRetryable = true) {
     const task = this.tasks.get(taskId);
-    if (!task) return null;
+    if (!task || task.state !== 'processing') return null;
 
     task.error = {
       code: error.code || 'UNKNOWN',
       message: error.message || 'Unknown error occurred'
     };
+
+    // Keep every failure, not just the latest - task.error is cleared on requeue
+    const attempt = this.finishAttempt(task, {
+      outcome: 'failed',
+      provider: error.provider,
+      error: task.error
+    });
     
     this.currentlyProcessing--;
+    this.abortControllers.delete(taskId);
+
+    // 429s and timeouts mean we're pushing too hard - let the controller back off
+    this.concurrency.recordFailure(task.error.code);
+
+    // The policy for this kind of error decides how many attempts the task gets
+    const policy = this.getRetryPolicy(task.error.code);
+    task.maxRetries = policy.maxAttempts - 1;
 
     // Decide whether to retry
     const shouldRetry = isRetryable && task.retryCount < task.maxRetries;
@@ -181,28 +730,78 @@ class QueueManager {
     if (shouldRetry) {
       // Schedule retry with exponential backoff
       task.retryCount++;
-      task.nextRetryAt = Date.now() + this.calculateBackoff(task.retryCount);
+
+      // WHY RETRY-AFTER WINS: the server knows when it will be ready again;
+      // our backoff curve is only a guess
+      const hasRetryAfter = Number.isFinite(error.retryAfterMs);
+      const delay = hasRetryAfter
+        ? Math.min(Math.max(0, error.retryAfterMs), this.MAX_RETRY_AFTER)
+        : this.calculateBackoff(task.retryCount, policy, task.lastRetryDelay);
+
+      task.lastRetryDelay = delay;
+      task.retryPolicy = policy.name;
+      task.retryDelaySource = hasRetryAfter ? 'retry-after' : 'backoff';
+      task.nextRetryAt = Date.now() + delay;
       task.state = 'retrying';
+      metrics.retries.inc({ code: task.error.code });
+      if (attempt) {
+        attempt.backoffDelay = delay;
+        attempt.delaySource = task.retryDelaySource;
+      }
+      this.persist(task);
 
-      this.broadcast('task_retry_scheduled', {
+      this.broadcastTo(task.owner, 'task_retry_scheduled', {
         id: taskId,
         retryCount: task.retryCount,
         maxRetries: task.maxRetries,
         nextRetryAt: task.nextRetryAt,
-        error: task.error
+        error: task.error,
+        delay,
+        delaySource: task.retryDelaySource,
+        policy,
+        attempts: task.attempts
       });
+      this.emit('retry_scheduled', task);
     } else {
       // Permanent failure - no more retries
       task.state = 'failed';
       task.completedAt = Date.now();
+      metrics.tasksFinished.inc({ state: 'failed' });
 
-      this.broadcast('task_failed', task);
+      this.broadcastTo(task.owner, 'task_failed', task);
+      this.moveToDeadLetter(task, isRetryable ? 'retries_exhausted' : 'permanent_error');
+      this.emit('task_finished', task);
     }
 
+    this.broadcastBatchProgress(task);
     this.broadcastStats();
+    this.scheduleEtaUpdate();
+    this.emit('work_available');
     return task;
   }
 
+  /**
+   * Close the task's open attempt (the one startProcessing began)
+   * 
+   * Returns the attempt, or null if none was open (e.g. a task journaled
+   * before attempt history existed).
+   */
+  finishAttempt(task, { outcome, provider, error = null }) {
+    const attempt = task.attempts?.[task.attempts.length - 1];
+    if (!attempt || attempt.endedAt !== null) return null;
+
+    attempt.endedAt = Date.now();
+    attempt.duration = attempt.endedAt - attempt.startedAt;
+    attempt.outcome = outcome;
+    if (provider) attempt.provider = provider;
+    if (error) attempt.error = { code: error.code, message: error.message };
+    metrics.processingTime.observe({ outcome }, attempt.duration / 1000);
+
+    // Successes and failures both held a slot this long (cancelled/interrupted ones were cut short)
+    if (outcome === 'success' || outcome === 'failed') this.eta.observe(attempt.duration);
+    return attempt;
+  }
+
   /**
    * Calculate exponential backoff delay
    * 
@@ -218,32 +817,54 @@ class QueueManager {
    * 
    * Formula: delay = baseDelay * (2 ^ attemptNumber)
    * With jitter to prevent "thundering herd" (all clients retrying simultaneously)
+   * 
+   * The policy picks the jitter strategy:
+   * - proportional: the curve ±25% - predictable, the original behavior
+   * - full: random between 0 and the curve - spreads retries out the most
+   * - decorrelated: random between baseDelay and 3× the previous delay -
+   *   grows like exponential backoff but without lockstep between tasks
    */
-  calculateBackoff(retryCount) {
-    const exponentialDelay = this.BASE_RETRY_DELAY * Math.pow(2, retryCount - 1);
-    const cappedDelay = Math.min(exponentialDelay, this.MAX_RETRY_DELAY);
+  calculateBackoff(retryCount, policy = this.retryPolicies.default, previousDelay = null) {
+    const { baseDelay, maxDelay, jitter } = policy;
+
+    if (jitter === 'decorrelated') {
+      const previous = previousDelay || baseDelay;
+      const upper = Math.max(baseDelay, previous * 3);
+      return Math.floor(Math.min(maxDelay, baseDelay + Math.random() * (upper - baseDelay)));
+    }
+
+    const exponentialDelay = baseDelay * Math.pow(2, retryCount - 1);
+    const cappedDelay = Math.min(exponentialDelay, maxDelay);
+
+    if (jitter === 'full') {
+      return Math.floor(Math.random() * cappedDelay);
+    }
+
+    if (jitter === 'none') {
+      return Math.floor(cappedDelay);
+    }
     
     // Add jitter (±25%) to prevent synchronized retries
-    const jitter = cappedDelay * 0.25 * (Math.random() - 0.5);
+    const jitterAmount = cappedDelay * 0.25 * (Math.random() - 0.5);
     
-    return Math.floor(cappedDelay + jitter);
+    return Math.floor(cappedDelay + jitterAmount);
   }
 
   /**
-   * Check for tasks ready to retry
-   * Called periodically by the worker
+   * Look up the retry policy for an error code (falls back to 'default')
    */
-  getTasksReadyForRetry() {
-    const now = Date.now();
-    const ready = [];
-
-    for (const task of this.tasks.values()) {
-      if (task.state === 'retrying' && task.nextRetryAt && now >= task.nextRetryAt) {
-        ready.push(task);
-      }
-    }
+  getRetryPolicy(errorCode) {
+    const name = policyNameFor(errorCode);
+    const policy = this.retryPolicies[name] ? name : 'default';
+    return { name: policy, ...this.retryPolicies[policy] };
+  }
 
-    return ready;
+  /**
+   * Tasks waiting out a backoff delay
+   * The worker sets a timer for each when it starts (e.g. after a restart)
+   */
+  getRetryingTasks() {
+    return [...this.tasks.values()].filter(task => task.state === 'retrying');
   }
 
   /**
@@ -256,48 +877,129 @@ class QueueManager {
     task.state = 'pending';
     task.nextRetryAt = null;
     task.error = null;
+    this.enqueuePending(task);
+    this.persist(task);
 
-    this.broadcast('task_requeued', task);
+    this.broadcastTo(task.owner, 'task_requeued', task);
+    this.broadcastBatchProgress(task);
+    this.scheduleEtaUpdate();
+    this.emit('work_available');
     return task;
   }
 
   /**
-   * Calculate estimated wait time for new tasks
+   * Put a processing task back in line without counting it as an attempt
    * 
-   * This is a rough estimate: (tasks ahead * average processing time)
-   * Real systems might use historical data for better predictions.
+   * Used when the worker picked a task but couldn't call any provider
+   * (every circuit in its chain is open). Nothing was tried, so nothing failed -
+   * the task keeps its retry budget, its place in line and its owner's turn.
    */
-  calculateEstimatedWait() {
-    const AVERAGE_TASK_TIME = 30000; // 30 seconds average per task
+  releaseTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task || task.state !== 'processing') return null;
+
+    task.state = 'pending';
+    task.startedAt = null;
+    task.progress = 0;
+    task.attempts.pop(); // Never reached a provider - not an attempt
+    this.scheduler.refund(task.owner); // Nor a turn - startProcessing charged one
+    this.currentlyProcessing--;
+    this.abortControllers.delete(taskId);
+    this.enqueuePending(task);
+    this.persist(task);
+
+    this.broadcastTo(task.owner, 'task_requeued', task);
+    this.broadcastBatchProgress(task);
+    this.broadcastStats();
+    this.scheduleEtaUpdate();
+    this.emit('work_available');
+    return task;
+  }
 
-    let pendingCount = 0;
-    let processingCount = 0;
+  /**
+   * Estimate when each waiting (pending, retrying or scheduled) task will start
+   * 
+   * Sets estimatedStartAt (a timestamp) and estimatedWaitTime (ms from now).
+   * See etaEstimator.js for the model - recent attempt durations, parallel
+   * slots, retrying tasks rejoining the line, and the scheduling policy
+   * taking turns between submitters.
+   */
+  refreshEstimates(now = Date.now()) {
+    const runningSince = [];
+    const waiting = [];
 
     for (const task of this.tasks.values()) {
-      if (task.state === 'pending') pendingCount++;
-      if (task.state === 'processing') processingCount++;
+      if (task.state === 'processing') {
+        runningSince.push(task.startedAt);
+      } else if (task.state === 'pending' || task.state === 'retrying' || task.state === 'scheduled') {
+        const readyAt = { pending: now, retrying: task.nextRetryAt, scheduled: task.runAt }[task.state];
+        waiting.push({
+          id: task.id,
+          owner: task.owner ?? null,
+          readyAt: Math.max(readyAt, now),
+          priorityScore: task.priorityScore,
+          createdAt: task.createdAt,
+          sequence: this.pendingEntries.get(task.id)?.sequence ?? this.nextSequence // Retries requeue at the back
+        });
+      }
     }
 
-    // Account for concurrent processing
-    const effectiveQueueLength = pendingCount + Math.ceil(processingCount / this.MAX_CONCURRENT);
-    return effectiveQueueLength * AVERAGE_TASK_TIME;
+    const starts = this.eta.estimate({
+      limit: this.concurrency.limit,
+      runningSince,
+      waiting,
+      choose: this.scheduler.simulate() // Whose turn it is, as the scheduler would decide
+    }, now);
+    for (const [taskId, startAt] of starts) {
+      const task = this.tasks.get(taskId);
+      task.estimatedStartAt = Math.round(startAt);
+      task.estimatedWaitTime = task.estimatedStartAt - now;
+    }
+    return starts;
   }
 
   /**
-   * Update estimated wait times for all pending tasks
+   * Refresh estimates on the next tick - many state changes in one go
+   * (a batch, a burst of completions) cost one pass and one event
+   */
+  scheduleEtaUpdate() {
+    if (this.etaUpdateScheduled) return;
+    this.etaUpdateScheduled = true;
+
+    setImmediate(() => {
+      this.etaUpdateScheduled = false;
+      this.updateEstimatedWaitTimes();
+    });
+  }
+
+  /**
+   * Refresh every estimate and push the ones that moved to clients
+   * 
+   * Estimates are compared as start times, not waits - a wait shrinking
+   * because time passed isn't news, the clients count down on their own.
    */
   updateEstimatedWaitTimes() {
-    const AVERAGE_TASK_TIME = 30000;
-    let position = 0;
+    const starts = this.refreshEstimates();
+    const changed = [];
 
-    // Sort by creation time (FIFO order)
-    const sortedTasks = [...this.tasks.values()]
-      .filter(t => t.state === 'pending')
-      .sort((a, b) => a.createdAt - b.createdAt);
+    for (const taskId of starts.keys()) {
+      const task = this.tasks.get(taskId);
+      const sent = this.sentEstimates.get(taskId);
+      if (sent === undefined || Math.abs(task.estimatedStartAt - sent) >= this.ETA_CHANGE_THRESHOLD_MS) {
+        changed.push({ id: taskId, estimatedStartAt: task.estimatedStartAt, estimatedWaitTime: task.estimatedWaitTime });
+        this.sentEstimates.set(taskId, task.estimatedStartAt);
+      }
+    }
+
+    // Forget tasks that aren't waiting any more
+    for (const taskId of this.sentEstimates.keys()) {
+      if (!starts.has(taskId)) this.sentEstimates.delete(taskId);
+    }
 
-    for (const task of sortedTasks) {
-      task.estimatedWaitTime = position * AVERAGE_TASK_TIME;
-      position++;
+    // Each owner only hears about its own tasks
+    const averageTaskTime = Math.round(this.eta.taskTime);
+    for (const [owner, estimates] of this.groupByOwner(changed, estimate => this.tasks.get(estimate.id).owner)) {
+      this.broadcastTo(owner, 'eta_updated', { estimates, averageTaskTime });
     }
   }
 
@@ -305,7 +1007,7 @@ class QueueManager {
    * Get task by ID
    */
   getTask(taskId) {
-    return this.tasks.get(taskId);
+    return this.tasks.get(taskId) || this.deadLetters.get(taskId);
   }
 
   /**
@@ -320,60 +1022,628 @@ class QueueManager {
    */
   getStats() {
     const stats = {
+      scheduled: 0,
       pending: 0,
       processing: 0,
       retrying: 0,
       completed: 0,
       failed: 0,
-      total: this.tasks.size
+      cancelled: 0,
+      total: this.tasks.size,
+      active: this.getActiveCount(),
+      capacity: this.MAX_QUEUE_SIZE
     };
 
     for (const task of this.tasks.values()) {
       stats[task.state]++;
     }
 
+    // Failed tasks live in the dead-letter queue, not in this.tasks
+    stats.failed += this.deadLetters.size;
+    stats.deadLettered = this.deadLetters.size;
+
+    stats.concurrency = this.concurrency.getStatus();
+    stats.resultCache = this.resultCache.getStatus();
+    stats.eta = this.eta.getStatus();
+    stats.scheduling = this.scheduler.getStatus();
+    stats.dispatch = this.getDispatchStatus();
+    stats.events = this.events.getStatus();
+
     return stats;
   }
 
   /**
-   * Cancel a pending task
+   * How the processing slots are split between submitters with unfinished work
+   * 
+   * - running / waiting: their processing and pending-or-retrying tasks
+   * - slotShare: fraction of the concurrency limit their running tasks hold
+   * - fairShare: what the policy entitles them to while everyone is busy
+   *   (weight / total weight; equal turns for round-robin; null for fifo)
+   * 
+   * Not part of getStats() - stats go to every client, but who is submitting
+   * is only for the submitter themselves and admins.
+   */
+  getSubmitterShares() {
+    const submitters = new Map();
+
+    for (const task of this.tasks.values()) {
+      if (this.isTerminal(task) || task.state === 'scheduled') continue; // Not competing for slots yet
+
+      const owner = task.owner ?? null;
+      if (!submitters.has(owner)) {
+        submitters.set(owner, { owner, weight: this.scheduler.weightOf(owner), running: 0, waiting: 0 });
+      }
+      if (task.state === 'processing') {
+        submitters.get(owner).running++;
+      } else {
+        submitters.get(owner).waiting++;
+      }
+    }
+
+    const { policy } = this.scheduler;
+    const list = [...submitters.values()];
+    const totalWeight = list.reduce((sum, s) => sum + (policy === 'weighted' ? s.weight : 1), 0);
+
+    for (const submitter of list) {
+      submitter.slotShare = Math.round((submitter.running / this.concurrency.limit) * 1000) / 1000;
+      submitter.fairShare = policy === 'fifo'
+        ? null
+        : Math.round(((policy === 'weighted' ? submitter.weight : 1) / totalWeight) * 1000) / 1000;
+    }
+    return list;
+  }
+
+  /**
+   * Has the task reached a state it will never leave?
+   */
+  isTerminal(task) {
+    return task.state === 'completed' || task.state === 'failed' || task.state === 'cancelled';
+  }
+
+  /**
+   * Cancel a task that hasn't finished yet
+   * 
+   * Pending and retrying tasks just leave the line. A processing task also has
+   * its provider request aborted, and its concurrency slot is freed right here -
+   * the worker sees the abort and leaves the task alone.
+   * 
+   * WHY KEEP THE RECORD: A task that vanishes looks the same as one that was
+   * lost. A 'cancelled' task says what happened and when.
    */
   cancelTask(taskId) {
     const task = this.tasks.get(taskId);
-    if (!task || task.state === 'processing') {
-      return false; // Can't cancel processing tasks
+    if (!task || this.isTerminal(task)) {
+      return false; // Unknown, or already finished
+    }
+
+    const wasProcessing = task.state === 'processing';
+    if (wasProcessing) {
+      this.finishAttempt(task, { outcome: 'cancelled' });
+      this.currentlyProcessing--;
+      this.abortControllers.get(taskId)?.abort();
+      this.abortControllers.delete(taskId);
     }
 
-    this.tasks.delete(taskId);
-    this.broadcast('task_cancelled', { id: taskId });
+    task.state = 'cancelled';
+    task.completedAt = Date.now();
+    task.nextRetryAt = null;
+    this.pendingEntries.delete(taskId);
+    this.persist(task);
+    metrics.tasksFinished.inc({ state: 'cancelled' });
+
+    this.broadcastTo(task.owner, 'task_cancelled', task);
+    this.broadcastBatchProgress(task);
     this.broadcastStats();
+    this.scheduleEtaUpdate();
+    if (wasProcessing) this.emit('work_available'); // Its slot is free
     return true;
   }
 
-  // === SSE Client Management ===
+  /**
+   * Drop a deleted task from its batch, and the batch itself once it's empty
+   */
+  removeFromBatch(task) {
+    const batch = task.batchId && this.batches.get(task.batchId);
+    if (!batch) return;
+
+    batch.taskIds.delete(task.id);
+    if (batch.taskIds.size === 0) {
+      this.batches.delete(batch.id);
+      this.broadcastTo(batch.owner, 'batch_removed', { id: batch.id });
+    } else {
+      this.broadcastBatchProgress(task);
+    }
+  }
+
+  // === Retention ===
 
   /**
-   * Register an SSE client
+   * Evict finished tasks the retention policy no longer wants to keep
+   * 
+   * Evicted tasks are removed from memory and the journal (after being
+   * archived, if an archive is configured), along with stored images no
+   * other task uses. Clients get one 'tasks_evicted' event listing the ids.
+   * 
+   * `overrides` ({ maxAgeMs, maxCount }) applies to this run only.
    */
-  addSSEClient(res) {
-    this.sseClients.add(res);
-    
-    // Send initial state snapshot
-    this.sendToClient(res, 'queue_snapshot', this.getAllTasks());
-    this.sendToClient(res, 'queue_stats', this.getStats());
+  runRetention(overrides = {}) {
+    const evicted = this.retention.selectEvictions(this.tasks.values(), overrides);
+    if (evicted.length === 0) return { evicted: [], archived: false };
+
+    const archived = this.retention.archive(evicted);
+
+    for (const task of evicted) {
+      this.tasks.delete(task.id);
+      this.abortControllers.delete(task.id);
+      if (task.idempotencyKey) this.idempotencyKeys.delete(this.idempotencyScope(task.idempotencyKey, task.owner));
+      this.store.delete(task.id);
+      this.removeFromBatch(task);
+    }
+    this.releaseImages(evicted);
+
+    if (this.store.needsCompaction(this.tasks.size)) {
+      this.store.compact(this.tasks.values());
+    }
+
+    const ids = evicted.map(task => task.id);
+    console.log(`[Retention] Evicted ${ids.length} finished tasks${archived ? ' (archived)' : ''}`);
+
+    for (const [owner, tasks] of this.groupByOwner(evicted, task => task.owner)) {
+      this.broadcastTo(owner, 'tasks_evicted', { ids: tasks.map(task => task.id), archived });
+    }
+    this.broadcastStats();
+    return { evicted: ids, archived };
+  }
+
+  /**
+   * Delete the stored images of removed tasks, unless a remaining task shares one
+   * (images are content-addressed, so identical results share a file)
+   */
+  releaseImages(removedTasks) {
+    const inUse = new Set();
+    for (const task of this.tasks.values()) {
+      if (task.result?.hash) inUse.add(task.result.hash);
+    }
+
+    for (const task of removedTasks) {
+      const { hash, contentType } = task.result || {};
+      if (hash && !inUse.has(hash)) imageStore.remove(hash, contentType);
+    }
+  }
+
+  /**
+   * Run retention now and then every RETENTION_SWEEP_MS
+   */
+  startRetentionSweep() {
+    if (this.retentionTimer) return;
+    this.runRetention();
+    this.retentionTimer = setInterval(() => this.runRetention(), this.RETENTION_SWEEP_MS);
+    this.retentionTimer.unref(); // Never keep the process alive on its own
+  }
+
+  stopRetentionSweep() {
+    clearInterval(this.retentionTimer);
+    this.retentionTimer = null;
+  }
+
+  // === Dead-Letter Queue ===
+
+  /**
+   * Move a permanently failed task into the dead-letter queue
+   * 
+   * WHY A DLQ: A failed task still matters - someone may want to know why it
+   * failed, fix the prompt, or just try again once the provider recovers.
+   * But it shouldn't sit in the live queue taking a slot from new work.
+   * Parking it separately (like SQS or RabbitMQ dead-letter queues) gives us both.
+   */
+  moveToDeadLetter(task, reason) {
+    task.deadLetteredAt = Date.now();
+    task.failureReason = reason;
+
+    this.tasks.delete(task.id);
+    this.pendingEntries.delete(task.id);
+    this.store.delete(task.id);
+
+    this.deadLetters.set(task.id, task);
+    this.deadLetterStore.save(task);
+    if (this.deadLetterStore.needsCompaction(this.deadLetters.size)) {
+      this.deadLetterStore.compact(this.deadLetters.values());
+    }
+
+    this.broadcastTo(task.owner, 'task_dead_lettered', task);
+  }
+
+  /**
+   * Get all dead-lettered tasks (most recent failure first)
+   */
+  getDeadLetters() {
+    return [...this.deadLetters.values()].sort((a, b) => b.deadLetteredAt - a.deadLetteredAt);
+  }
+
+  getDeadLetter(taskId) {
+    return this.deadLetters.get(taskId);
+  }
+
+  /**
+   * Send a dead-lettered task back through the queue
+   * 
+   * The task keeps its id (and batch) and its attempt history, so the earlier
+   * failures stay visible. It gets a fresh retry budget and joins the back
+   * of the line. `overrides` can change priority, provider, fallbackProvider
+   * or generationOptions before it runs again.
+   */
+  replayDeadLetter(taskId, overrides = {}) {
+    const task = this.deadLetters.get(taskId);
+    if (!task) return null;
+
+    this.assertAcceptingTasks();
+    if (this.getActiveCount() >= this.MAX_QUEUE_SIZE) {
+      throw new Error('Queue full - please wait for some tasks to complete');
+    }
+
+    this.deadLetters.delete(taskId);
+    this.deadLetterStore.delete(taskId);
+
+    for (const field of ['priority', 'provider', 'fallbackProvider', 'generationOptions']) {
+      if (overrides[field] !== undefined) task[field] = overrides[field];
+    }
+
+    Object.assign(task, {
+      state: 'pending',
+      createdAt: Date.now(),
+      startedAt: null,
+      completedAt: null,
+      result: null,
+      error: null,
+      retryCount: 0,
+      maxRetries: this.MAX_RETRIES,
+      nextRetryAt: null,
+      lastRetryDelay: null,
+      runAt: null, // A replay runs now
+      progress: 0,
+      deadLetteredAt: null,
+      failureReason: null,
+      webhook: null, // A fresh outcome gets a fresh delivery
+      replayCount: (task.replayCount || 0) + 1
+    });
+    task.priorityScore = this.calculatePriorityScore(task);
+
+    this.tasks.set(task.id, task);
+    this.enqueuePending(task);
+    this.refreshEstimates();
+    this.sentEstimates.set(task.id, task.estimatedStartAt);
+    this.persist(task);
+
+    this.broadcastTo(task.owner, 'dlq_removed', { id: taskId, reason: 'replayed' });
+    this.broadcastTo(task.owner, 'task_submitted', task);
+    this.broadcastBatchProgress(task);
+    this.broadcastStats();
+    this.scheduleEtaUpdate();
+    this.emit('work_available');
+
+    return task;
+  }
+
+  /**
+   * Replay several dead-lettered tasks (all of them if ids is omitted)
+   * Stops once the queue is full (or while draining); the rest stay in the DLQ.
+   */
+  replayDeadLetters(ids = null, overrides = {}) {
+    const targets = ids || this.getDeadLetters().map(t => t.id).reverse(); // Oldest first
+    const replayed = [];
+    const skipped = [];
+
+    for (const id of targets) {
+      if (!this.deadLetters.has(id) || !this.isAcceptingTasks() || this.getActiveCount() >= this.MAX_QUEUE_SIZE) {
+        skipped.push(id);
+        continue;
+      }
+      replayed.push(this.replayDeadLetter(id, overrides).id);
+    }
+
+    return { replayed, skipped };
+  }
+
+  /**
+   * Permanently delete dead-lettered tasks (all of them if ids is omitted)
+   */
+  purgeDeadLetters(ids = null) {
+    const targets = ids || [...this.deadLetters.keys()];
+    const purged = [];
+
+    for (const id of targets) {
+      const task = this.deadLetters.get(id);
+      if (!task) continue;
+
+      this.deadLetters.delete(id);
+      this.deadLetterStore.delete(id);
+      if (task.idempotencyKey) this.idempotencyKeys.delete(this.idempotencyScope(task.idempotencyKey, task.owner));
+      this.removeFromBatch(task);
+      this.broadcastTo(task.owner, 'dlq_removed', { id, reason: 'purged' });
+      purged.push(id);
+    }
+
+    if (purged.length > 0) this.broadcastStats();
+    return { purged };
+  }
+
+  // === Persistence ===
 
-    // Remove client when connection closes
-    res.on('close', () => {
-      this.sseClients.delete(res);
+  /**
+   * Reload all tasks from the store after a restart
+   * 
+   * WHY RECOVER 'processing' TASKS: If the process died mid-request, that
+   * request is gone - nothing will ever complete it. Leaving the task in
+   * 'processing' would also leak a concurrency slot forever. So we put it
+   * back in line as 'pending'. The interruption wasn't the task's fault, so
+   * it doesn't cost a retry. Tasks already 'retrying' keep their schedule.
+   */
+  restore() {
+    const loaded = this.store.load();
+    let recovered = 0;
+
+    this.scheduler.clear();
+    this.pendingEntries.clear();
+
+    for (const task of loaded.values()) {
+      // Tasks journaled before priorities existed run at the default level
+      if (!task.priority) {
+        task.priority = DEFAULT_PRIORITY;
+        task.priorityScore = this.calculatePriorityScore(task);
+      }
+
+      if (!task.attempts) this.migrateErrorHistory(task);
+
+      if (task.state === 'processing') {
+        this.finishAttempt(task, { outcome: 'interrupted' });
+        task.state = 'pending';
+        task.startedAt = null;
+        task.progress = 0;
+        recovered++;
+      }
+    }
+
+    this.tasks = loaded;
+    this.deadLetters = this.deadLetterStore.load();
+    for (const task of this.deadLetters.values()) {
+      if (!task.attempts) this.migrateErrorHistory(task);
+    }
+
+    // Tasks that failed before the DLQ existed belong there now
+    for (const task of [...this.tasks.values()]) {
+      if (task.state === 'failed') {
+        this.tasks.delete(task.id);
+        task.deadLetteredAt = task.completedAt || Date.now();
+        task.failureReason = task.failureReason || 'retries_exhausted';
+        this.deadLetters.set(task.id, task);
+      }
+    }
+
+    this.batches.clear();
+    this.idempotencyKeys.clear();
+    this.resultCache.clear();
+    for (const task of [...this.tasks.values(), ...this.deadLetters.values()]) {
+      if (task.state === 'pending') this.enqueuePending(task);
+      if (task.idempotencyKey) this.idempotencyKeys.set(this.idempotencyScope(task.idempotencyKey, task.owner), task.id);
+
+      // Keys journaled before they were scoped per owner are rebuilt - an old
+      // shared key must not match anyone's request any more
+      if (task.cacheKey) task.cacheKey = this.resultCache.keyFor(task);
+
+      // The newest completed task for each cache key holds the cached result
+      if (task.cacheKey && task.state === 'completed' && task.result?.hash) {
+        const current = this.resultCache.entries.get(task.cacheKey);
+        const holder = current && this.tasks.get(current.taskId);
+        if (!holder || holder.completedAt < task.completedAt) {
+          this.resultCache.set(task.cacheKey, task.id, task.result.generatedAt);
+        }
+      }
+
+      if (task.batchId) {
+        if (!this.batches.has(task.batchId)) {
+          this.batches.set(task.batchId, { id: task.batchId, createdAt: task.createdAt, owner: task.owner ?? null, taskIds: new Set() });
+        }
+        const batch = this.batches.get(task.batchId);
+        batch.taskIds.add(task.id);
+        batch.createdAt = Math.min(batch.createdAt, task.createdAt);
+      }
+    }
+
+    // Rebuild the concurrency counter from what's actually running
+    // (after recovery that's nothing, but never assume it)
+    this.currentlyProcessing = [...this.tasks.values()]
+      .filter(t => t.state === 'processing').length;
+
+    // Start from a clean journal that reflects the recovered state
+    this.store.compact(this.tasks.values());
+    this.deadLetterStore.compact(this.deadLetters.values());
+
+    // Warm the ETA estimator with the most recent attempts, oldest first
+    this.eta = EtaEstimator.fromEnv();
+    const recentAttempts = [...this.tasks.values(), ...this.deadLetters.values()]
+      .flatMap(task => task.attempts || [])
+      .filter(attempt => attempt.outcome === 'success' || attempt.outcome === 'failed')
+      .sort((a, b) => a.endedAt - b.endedAt)
+      .slice(-50);
+    for (const attempt of recentAttempts) this.eta.observe(attempt.duration);
+    this.sentEstimates.clear();
+    this.refreshEstimates();
+
+    console.log(`[Store] Restored ${this.tasks.size} tasks (${recovered} interrupted tasks requeued), ${this.deadLetters.size} dead-lettered`);
+  }
+
+  /**
+   * Turn an older journal's errorHistory (failures only) into attempts
+   */
+  migrateErrorHistory(task) {
+    task.attempts = (task.errorHistory || []).map((entry, i) => ({
+      number: i + 1,
+      startedAt: null,
+      endedAt: entry.at,
+      duration: null,
+      outcome: 'failed',
+      provider: entry.provider,
+      error: { code: entry.code, message: entry.message }
+    }));
+    delete task.errorHistory;
+  }
+
+  /**
+   * A task by id, whether it's live or in the dead-letter queue
+   */
+  findTask(taskId) {
+    return this.tasks.get(taskId) || this.deadLetters.get(taskId) || null;
+  }
+
+  /**
+   * Record a change in a task's webhook delivery (see webhooks.js)
+   * Failed tasks live in the DLQ, so the status is saved to whichever store holds the task
+   */
+  updateWebhook(taskId, webhook) {
+    const task = this.findTask(taskId);
+    if (!task) return null;
+
+    task.webhook = webhook;
+    if (this.deadLetters.has(taskId)) {
+      this.deadLetterStore.save(task);
+    } else {
+      this.persist(task);
+    }
+
+    this.broadcastTo(task.owner, 'task_webhook', { id: taskId, webhook });
+    return task;
+  }
+
+  /**
+   * Write a task's current state to the store
+   */
+  persist(task) {
+    this.store.save(task);
+
+    if (this.store.needsCompaction(this.tasks.size)) {
+      this.store.compact(this.tasks.values());
+    }
+  }
+
+  // === Dispatch Control ===
+
+  /**
+   * Stop starting tasks - submissions are still accepted and wait in line
+   * Tasks already processing carry on.
+   */
+  pause() {
+    return this.setDispatchState('paused');
+  }
+
+  /**
+   * Start tasks again (after pause or drain)
+   */
+  resume() {
+    const status = this.setDispatchState('running');
+    this.emit('work_available'); // Fill the slots that sat idle
+    return status;
+  }
+
+  /**
+   * Let in-flight tasks finish, but start nothing new and accept no new tasks
+   * 
+   * WHY: before a deploy or shutdown, a request cut off mid-flight is wasted
+   * provider time (and the task has to start over). Draining lets them land.
+   * Pending tasks stay journaled and run after resume() or the next start.
+   * dispatchControl.drainedAt is set once nothing is processing.
+   */
+  drain() {
+    if (this.dispatchControl.state === 'draining') return this.getDispatchStatus();
+
+    const status = this.setDispatchState('draining');
+    this.whenIdle().then(() => {
+      if (this.dispatchControl.state !== 'draining') return; // Resumed in the meantime
+      this.dispatchControl.drainedAt = Date.now();
+      this.broadcast('dispatch_state', this.getDispatchStatus());
+      this.broadcastStats();
+    });
+    return status;
+  }
+
+  setDispatchState(state) {
+    if (this.dispatchControl.state !== state) {
+      this.dispatchControl = { state, changedAt: Date.now(), drainedAt: null };
+      console.log(`[Queue] Dispatch ${state}`);
+      this.broadcast('dispatch_state', this.getDispatchStatus());
+      this.broadcastStats();
+    }
+    return this.getDispatchStatus();
+  }
+
+  /**
+   * May the worker start tasks?
+   */
+  isDispatching() {
+    return this.dispatchControl.state === 'running';
+  }
+
+  /**
+   * May new tasks be submitted (or replayed)?
+   */
+  isAcceptingTasks() {
+    return this.dispatchControl.state !== 'draining';
+  }
+
+  assertAcceptingTasks() {
+    if (this.isAcceptingTasks()) return;
+    const error = new Error('Draining - not accepting new tasks');
+    error.code = 'DRAINING';
+    throw error;
+  }
+
+  getDispatchStatus() {
+    return { ...this.dispatchControl, inFlight: this.currentlyProcessing };
+  }
+
+  /**
+   * Resolves true once no task is processing, or false after `timeoutMs`
+   * Every freed slot emits 'work_available', so that's when we look again.
+   */
+  whenIdle(timeoutMs = null) {
+    return new Promise((resolve) => {
+      if (this.currentlyProcessing === 0) return resolve(true);
+
+      let timer = null;
+      const finish = (idle) => {
+        clearTimeout(timer);
+        this.off('work_available', check);
+        resolve(idle);
+      };
+      const check = () => {
+        if (this.currentlyProcessing === 0) finish(true);
+      };
+
+      this.on('work_available', check);
+      if (timeoutMs !== null) timer = setTimeout(() => finish(false), timeoutMs);
     });
   }
 
+  // === SSE Client Management ===
+
   /**
-   * Send event to a single client
+   * Register an SSE client
+   * 
+   * A client resuming with a Last-Event-ID we still have buffered just gets
+   * the events it missed. Anyone else gets the full state snapshot.
+   * `canSee(owner)` limits both to the tasks this client may see (see auth.js).
+   * Returns 'replay' or 'snapshot'.
    */
-  sendToClient(res, event, data) {
-    res.write(`event: ${event}\n`);
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  addSSEClient(res, lastEventId = null, canSee = () => true) {
+    const visible = (item) => canSee(item.owner ?? null);
+
+    return this.events.addClient(res, lastEventId, (send) => {
+      send('queue_snapshot', this.getAllTasks().filter(visible));
+      send('batch_snapshot', this.getAllBatches().filter(visible));
+      send('dlq_snapshot', this.getDeadLetters().filter(visible));
+      send('queue_stats', this.getStats());
+      send('submitter_snapshot', this.getSubmitterShares().filter(visible));
+      send('circuit_snapshot', Object.values(this.circuitStates));
+    }, canSee);
   }
 
   /**
@@ -381,11 +1651,40 @@ class QueueManager {
    * 
    * WHY BROADCAST: When task state changes, ALL connected clients need to know.
    * This is the "pub/sub" pattern - clients subscribe, server publishes updates.
+   * Only for events with nothing private in them (stats, circuits) - anything
+   * about a task goes through broadcastTo.
    */
   broadcast(event, data) {
-    for (const client of this.sseClients) {
-      this.sendToClient(client, event, data);
+    this.events.broadcast(event, data);
+  }
+
+  /**
+   * Broadcast to the clients allowed to see `owner`'s tasks - the owner
+   * themselves and admins. Prompts and results never reach anyone else.
+   */
+  broadcastTo(owner, event, data) {
+    this.events.broadcast(event, data, { owner: owner ?? null });
+  }
+
+  /**
+   * Split items into [owner, items] groups, for events that cover many tasks
+   */
+  groupByOwner(items, ownerOf) {
+    const groups = new Map();
+    for (const item of items) {
+      const owner = ownerOf(item) ?? null;
+      if (!groups.has(owner)) groups.set(owner, []);
+      groups.get(owner).push(item);
     }
+    return groups;
+  }
+
+  /**
+   * Record and broadcast a provider's circuit breaker status
+   */
+  setCircuitState(status) {
+    this.circuitStates[status.provider] = status;
+    this.broadcast('circuit_state', status);
   }
 
   /**
@@ -393,6 +1692,30 @@ class QueueManager {
    */
   broadcastStats() {
     this.broadcast('queue_stats', this.getStats());
+    this.broadcastShares();
+  }
+
+  /**
+   * Send each submitter's share of the slots to them (and admins) when it changes
+   * A submitter with nothing left gets one last update with zero counts.
+   */
+  broadcastShares() {
+    const current = new Map(this.getSubmitterShares().map(share => [share.owner, share]));
+
+    for (const [owner, share] of current) {
+      const serialized = JSON.stringify(share);
+      if (this.sentShares.get(owner) === serialized) continue;
+      this.sentShares.set(owner, serialized);
+      this.broadcastTo(owner, 'submitter_share', share);
+    }
+
+    for (const owner of this.sentShares.keys()) {
+      if (current.has(owner)) continue;
+      this.sentShares.delete(owner);
+      this.broadcastTo(owner, 'submitter_share', {
+        owner, weight: this.scheduler.weightOf(owner), running: 0, waiting: 0, slotShare: 0, fairShare: 0
+      });
+    }
   }
 }
 
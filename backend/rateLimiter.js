@@ -0,0 +1,142 @@
+/**
+ * Rate Limiter
+ *
+ * Token buckets that cap how fast one client can submit tasks, so a single
+ * noisy script can't fill the queue for everyone.
+ *
+ * KEY CONCEPTS:
+ * - Token bucket: each client has a bucket holding up to `burst` tokens.
+ *   A submission costs one token per task; tokens drip back in at
+ *   `perMinute`. Short bursts are fine, a sustained flood is not.
+ * - One bucket per client key (an API key's owner, or an IP address),
+ *   created on first use and forgotten once it has refilled - a full
+ *   bucket is the same as no bucket.
+ * - Several limiters can guard one request (per key AND per IP). The
+ *   request is only charged if every one of them has enough tokens, so a
+ *   rejection never costs anything.
+ *
+ * WHY NOT A FIXED WINDOW: "60 per minute, reset on the minute" lets a client
+ * send 60 at 12:00:59 and 60 more at 12:01:00. A bucket has no edges.
+ */
+
+class RateLimiter {
+  /**
+   * @param {string} name - what the keys are ('key', 'ip') - used in responses
+   * @param {object} options
+   * @param {number} options.burst - bucket size: most tokens a client can hold (0 = unlimited)
+   * @param {number} options.perMinute - tokens added back per minute (0 = unlimited)
+   */
+  constructor(name, { burst = 20, perMinute = 60 } = {}) {
+    this.name = name;
+    this.burst = burst;
+    this.perMinute = perMinute;
+    this.refillPerMs = perMinute / 60000;
+
+    // client key → { tokens, updatedAt }
+    this.buckets = new Map();
+    this.rejected = 0;
+    this.operations = 0;
+  }
+
+  /**
+   * Build a limiter from environment variables, e.g. for prefix 'RATE_LIMIT_KEY':
+   *
+   *   RATE_LIMIT_KEY_BURST=20
+   *   RATE_LIMIT_KEY_PER_MINUTE=60
+   */
+  static fromEnv(name, prefix, defaults = {}, env = process.env) {
+    const options = { ...defaults };
+    if (env[`${prefix}_BURST`] !== undefined) options.burst = parseInt(env[`${prefix}_BURST`], 10) || 0;
+    if (env[`${prefix}_PER_MINUTE`] !== undefined) options.perMinute = parseInt(env[`${prefix}_PER_MINUTE`], 10) || 0;
+    return new RateLimiter(name, options);
+  }
+
+  get enabled() {
+    return this.burst > 0 && this.perMinute > 0;
+  }
+
+  /**
+   * Tokens this client has right now (fractional - refill is continuous)
+   */
+  tokens(key, now = Date.now()) {
+    const bucket = this.buckets.get(key);
+    if (!bucket) return this.burst;
+    return Math.min(this.burst, bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs);
+  }
+
+  /**
+   * Where this client stands, without charging anything
+   * `retryAfterMs` is how long until `cost` tokens are available
+   */
+  status(key, cost = 1, now = Date.now()) {
+    const tokens = this.tokens(key, now);
+    return {
+      limiter: this.name,
+      limit: this.burst,
+      remaining: Math.floor(tokens),
+      perMinute: this.perMinute,
+      resetMs: Math.ceil((this.burst - tokens) / this.refillPerMs), // Until the bucket is full
+      retryAfterMs: tokens >= cost ? 0 : Math.ceil((cost - tokens) / this.refillPerMs)
+    };
+  }
+
+  /**
+   * Charge `cost` tokens (the caller has already checked there are enough)
+   */
+  take(key, cost = 1, now = Date.now()) {
+    this.buckets.set(key, { tokens: this.tokens(key, now) - cost, updatedAt: now });
+
+    // Every so often, forget clients whose buckets have refilled
+    if (++this.operations % 1000 === 0) this.prune(now);
+  }
+
+  prune(now = Date.now()) {
+    for (const key of this.buckets.keys()) {
+      if (this.tokens(key, now) >= this.burst) this.buckets.delete(key);
+    }
+  }
+
+  /**
+   * Every client with a partly used bucket - for the admin endpoint
+   */
+  getUsage(now = Date.now()) {
+    this.prune(now);
+    return {
+      burst: this.burst,
+      perMinute: this.perMinute,
+      rejected: this.rejected,
+      clients: [...this.buckets.keys()]
+        .map(key => ({ key, ...this.status(key, 1, now) }))
+        .sort((a, b) => a.remaining - b.remaining) // Closest to the limit first
+    };
+  }
+}
+
+/**
+ * Charge `cost` to every limiter in `checks` ([{ limiter, key }]), or to none
+ *
+ * Returns { allowed, status } where status is the tightest limiter's
+ * (the one with the fewest tokens left - that's what the client hits next).
+ * On rejection, status.retryAfterMs is how long until every limiter allows it.
+ */
+function consume(checks, cost = 1, now = Date.now()) {
+  const active = checks.filter(({ limiter }) => limiter.enabled);
+  if (active.length === 0) return { allowed: true, status: null };
+
+  const before = active.map(({ limiter, key }) => ({ limiter, key, status: limiter.status(key, cost, now) }));
+  const blocked = before.filter(check => check.status.retryAfterMs > 0);
+
+  if (blocked.length > 0) {
+    blocked.forEach(check => check.limiter.rejected++);
+    const tightest = blocked.reduce((a, b) => (b.status.retryAfterMs > a.status.retryAfterMs ? b : a));
+    return { allowed: false, status: tightest.status };
+  }
+
+  active.forEach(({ limiter, key }) => limiter.take(key, cost, now));
+  const after = active.map(({ limiter, key }) => limiter.status(key, 1, now));
+  return { allowed: true, status: after.reduce((a, b) => (b.remaining < a.remaining ? b : a)) };
+}
+
+RateLimiter.consume = consume;
+
+module.exports = RateLimiter;
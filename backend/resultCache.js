@@ -0,0 +1,116 @@
+/**
+ * Result Cache
+ *
+ * Remembers which completed task produced the image for a given prompt and
+ * set of generation parameters, so an identical request can complete
+ * immediately instead of being generated again.
+ *
+ * KEY CONCEPTS:
+ * - Normalized keys: "A cat " and "a  cat" are the same request. The key is a
+ *   hash of the normalized prompt, the provider and every generation parameter.
+ * - Keys are per owner: a result is only reused for the caller whose task
+ *   produced it. A shared cache would hand out other callers' task ids and
+ *   tell anyone what they had asked for.
+ * - The cache stores pointers (task ids), not images. The image bytes already
+ *   live in the image store, and a pointer whose task was evicted is a miss.
+ * - Entries expire `ttlMs` after the image was generated, however often they hit.
+ *
+ * NOTE: Without an explicit seed, a repeated prompt gets the earlier (randomly
+ * seeded) image back rather than a new variation. That's why the cache is off
+ * unless RESULT_CACHE=true - pass a seed to ask for a specific variation.
+ */
+
+const crypto = require('crypto');
+
+// Generation parameters that change the image (see generationOptions.js)
+const KEY_FIELDS = ['width', 'height', 'model', 'seed', 'negativePrompt'];
+
+/**
+ * Lowercase, trim and collapse whitespace
+ */
+function normalizePrompt(prompt) {
+  return prompt.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+class ResultCache {
+  constructor({ enabled = false, ttlMs = 86400000 } = {}) {
+    this.enabled = enabled;
+    this.ttlMs = ttlMs;
+
+    // cacheKey → { taskId, generatedAt }
+    this.entries = new Map();
+
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Build a cache from environment variables
+   *
+   *   RESULT_CACHE=true
+   *   RESULT_CACHE_TTL_MS=86400000   (24 hours)
+   */
+  static fromEnv(env = process.env) {
+    return new ResultCache({
+      enabled: env.RESULT_CACHE === 'true',
+      ttlMs: parseInt(env.RESULT_CACHE_TTL_MS, 10) || 86400000
+    });
+  }
+
+  /**
+   * Key for a request: same owner + normalized prompt + provider + parameters → same key
+   */
+  keyFor({ prompt, provider, generationOptions = {}, owner = null }) {
+    const parts = [owner, normalizePrompt(prompt), provider || null];
+    for (const field of KEY_FIELDS) {
+      parts.push(generationOptions[field] ?? null);
+    }
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+  }
+
+  /**
+   * Look up a key - returns { taskId, generatedAt } or null when missing or expired
+   * The caller still has to check the task exists; see QueueManager.findCachedResult
+   */
+  get(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (now - entry.generatedAt > this.ttlMs) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Point a key at the task that now holds its result
+   */
+  set(key, taskId, generatedAt) {
+    this.entries.set(key, { taskId, generatedAt });
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Snapshot for getStats()
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
+
+ResultCache.normalizePrompt = normalizePrompt;
+
+module.exports = ResultCache;
@@ -0,0 +1,98 @@
+/**
+ * Retention Policy
+ *
+ * Decides which finished tasks the queue can forget.
+ *
+ * WHY: Completed and cancelled tasks stay in memory (and in the journal) so
+ * the dashboard can show their results. Without a limit they pile up forever -
+ * memory grows, the journal grows, and every SSE snapshot gets bigger.
+ *
+ * KEY CONCEPTS:
+ * - Only terminal tasks are ever evicted - pending and in-flight work is untouchable
+ * - Two limits: by age (finished more than maxAgeMs ago) and by count
+ *   (keep at most maxCount finished tasks, newest first)
+ * - Optional archive: evicted tasks are appended to a JSONL file instead of
+ *   being dropped, so history can still be analysed offline
+ *
+ * Dead-lettered tasks are not covered - they wait for someone to replay or purge them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// States a task never leaves (failed tasks live in the dead-letter queue instead)
+const EVICTABLE_STATES = ['completed', 'cancelled'];
+
+class RetentionPolicy {
+  /**
+   * @param {object} options
+   * @param {number} options.maxAgeMs - evict tasks finished longer ago than this (0 = no age limit)
+   * @param {number} options.maxCount - keep at most this many finished tasks (0 = no count limit)
+   * @param {string|null} options.archivePath - JSONL file evicted tasks are appended to (null = just drop them)
+   */
+  constructor({ maxAgeMs = 3600000, maxCount = 200, archivePath = null } = {}) {
+    this.maxAgeMs = maxAgeMs;
+    this.maxCount = maxCount;
+    this.archivePath = archivePath;
+  }
+
+  /**
+   * Build a policy from environment variables
+   *
+   *   TASK_RETENTION_MS=3600000     (1 hour)
+   *   TASK_RETENTION_COUNT=200
+   *   TASK_ARCHIVE_PATH=./data/archive.jsonl
+   */
+  static fromEnv(env = process.env) {
+    const options = {};
+    if (env.TASK_RETENTION_MS !== undefined) options.maxAgeMs = parseInt(env.TASK_RETENTION_MS, 10) || 0;
+    if (env.TASK_RETENTION_COUNT !== undefined) options.maxCount = parseInt(env.TASK_RETENTION_COUNT, 10) || 0;
+    if (env.TASK_ARCHIVE_PATH) options.archivePath = env.TASK_ARCHIVE_PATH;
+    return new RetentionPolicy(options);
+  }
+
+  /**
+   * Pick the tasks to evict
+   *
+   * `overrides` replaces maxAgeMs / maxCount for this run only
+   * (used by the admin cleanup endpoint).
+   */
+  selectEvictions(tasks, { maxAgeMs = this.maxAgeMs, maxCount = this.maxCount } = {}, now = Date.now()) {
+    const finished = [...tasks]
+      .filter(task => EVICTABLE_STATES.includes(task.state))
+      .sort((a, b) => (b.completedAt || 0) - (a.completedAt || 0)); // Newest first
+
+    return finished.filter((task, index) => {
+      if (maxCount > 0 && index >= maxCount) return true;
+      if (maxAgeMs > 0 && now - (task.completedAt || 0) > maxAgeMs) return true;
+      return false;
+    });
+  }
+
+  /**
+   * Append evicted tasks to the archive file (no-op without an archivePath)
+   */
+  archive(tasks) {
+    if (!this.archivePath || tasks.length === 0) return false;
+
+    const lines = tasks.map(task => JSON.stringify({ ...task, archivedAt: Date.now() }));
+    fs.mkdirSync(path.dirname(this.archivePath), { recursive: true });
+    fs.appendFileSync(this.archivePath, lines.join('\n') + '\n');
+    return true;
+  }
+
+  /**
+   * Snapshot for the API
+   */
+  getStatus() {
+    return {
+      maxAgeMs: this.maxAgeMs,
+      maxCount: this.maxCount,
+      archivePath: this.archivePath
+    };
+  }
+}
+
+RetentionPolicy.EVICTABLE_STATES = EVICTABLE_STATES;
+
+module.exports = RetentionPolicy;
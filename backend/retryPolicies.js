@@ -0,0 +1,78 @@
+/**
+ * Retry Policies
+ *
+ * Different failures deserve different retry behavior. A rate limit (429)
+ * means "slow down a lot"; a flaky non-image response is worth retrying
+ * quickly but not forever; a timeout suggests the provider is struggling.
+ *
+ * Each policy sets:
+ * - baseDelay:   delay before the first retry (ms)
+ * - maxDelay:    cap on any single delay (ms)
+ * - jitter:      how randomness is added (see QueueManager.calculateBackoff)
+ *                'proportional' - ±25% around the exponential curve
+ *                'full'         - anywhere from 0 to the exponential curve (AWS "full jitter")
+ *                'decorrelated' - between baseDelay and 3× the previous delay (AWS "decorrelated jitter")
+ *                'none'         - the exponential curve exactly
+ * - maxAttempts: total attempts (first try + retries) before giving up
+ *
+ * Policies can be overridden with RETRY_POLICIES (JSON), e.g.
+ *   RETRY_POLICIES='{"HTTP_429":{"baseDelay":10000,"maxAttempts":10}}'
+ */
+
+const JITTER_STRATEGIES = ['none', 'proportional', 'full', 'decorrelated'];
+
+// Low-level network failures all share one policy
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'];
+
+const DEFAULT_POLICIES = {
+  HTTP_429: { baseDelay: 5000, maxDelay: 120000, jitter: 'decorrelated', maxAttempts: 8 },
+  HTTP_503: { baseDelay: 3000, maxDelay: 60000, jitter: 'full', maxAttempts: 6 },
+  TIMEOUT: { baseDelay: 5000, maxDelay: 60000, jitter: 'full', maxAttempts: 4 },
+  INVALID_RESPONSE: { baseDelay: 1000, maxDelay: 10000, jitter: 'full', maxAttempts: 3 },
+  NETWORK: { baseDelay: 1000, maxDelay: 30000, jitter: 'decorrelated', maxAttempts: 6 },
+  // Everything else: the original 2s, 4s, 8s... curve with ±25% jitter
+  default: { baseDelay: 2000, maxDelay: 60000, jitter: 'proportional', maxAttempts: 6 }
+};
+
+/**
+ * Merge RETRY_POLICIES overrides into the defaults
+ */
+function loadPolicies(overridesJson = process.env.RETRY_POLICIES) {
+  const policies = {};
+  for (const [name, policy] of Object.entries(DEFAULT_POLICIES)) {
+    policies[name] = { ...policy };
+  }
+
+  if (!overridesJson) return policies;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(overridesJson);
+  } catch (error) {
+    throw new Error(`RETRY_POLICIES is not valid JSON: ${error.message}`);
+  }
+
+  for (const [name, override] of Object.entries(overrides)) {
+    if (override.jitter && !JITTER_STRATEGIES.includes(override.jitter)) {
+      throw new Error(`RETRY_POLICIES.${name}.jitter must be one of: ${JITTER_STRATEGIES.join(', ')}`);
+    }
+    policies[name] = { ...(policies[name] || policies.default), ...override };
+  }
+
+  return policies;
+}
+
+/**
+ * Which policy applies to an error code
+ */
+function policyNameFor(errorCode) {
+  if (NETWORK_ERROR_CODES.includes(errorCode)) return 'NETWORK';
+  return errorCode;
+}
+
+module.exports = {
+  loadPolicies,
+  policyNameFor,
+  NETWORK_ERROR_CODES,
+  JITTER_STRATEGIES
+};
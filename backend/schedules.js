@@ -0,0 +1,266 @@
+/**
+ * Recurring Schedules
+ *
+ * Creates a task every time a cron expression fires - "render the banner
+ * every night at 2am" without an external cron job calling POST /tasks.
+ *
+ * KEY CONCEPTS:
+ * - A schedule is a task template (prompt, priority, provider, options) plus
+ *   a cron expression (see cron.js). It belongs to whoever created it, and
+ *   the tasks it creates do too.
+ * - One timer per active schedule, set for exactly its nextRunAt - no
+ *   polling, like the worker's retry timers.
+ * - Each run creates an ordinary task (with `scheduleId`), so it queues,
+ *   retries and dead-letters like any other. If the queue is full or
+ *   draining, that run is skipped and recorded as `lastError`.
+ * - Runs count against the owner's rate limit, exactly like submitting the
+ *   task by hand - otherwise a handful of "* * * * *" schedules would be an
+ *   unmetered way around it. A run with no token left is skipped. Each owner
+ *   may also have at most SCHEDULE_MAX_PER_OWNER schedules.
+ * - Schedules are journaled (data/schedules.jsonl) and re-armed on startup.
+ *   A run missed while the server was down fires once on startup - not once
+ *   per missed run.
+ */
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const TaskStore = require('./store');
+const CronExpression = require('./cron');
+const queueManager = require('./queue');
+
+// Longest delay setTimeout supports - later runs re-arm in steps
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Thrown by create() when the owner already has as many schedules as allowed
+const SCHEDULE_LIMIT = 'SCHEDULE_LIMIT';
+
+class ScheduleManager {
+  constructor() {
+    // scheduleId → schedule
+    this.schedules = new Map();
+    this.store = new TaskStore(
+      process.env.SCHEDULE_STORE_PATH || path.join(path.dirname(queueManager.store.filePath), 'schedules.jsonl')
+    );
+
+    this.maxPerOwner = parseInt(process.env.SCHEDULE_MAX_PER_OWNER, 10) || 20;
+
+    // Charged one token per run, keyed by the schedule's owner (see start())
+    this.rateLimiter = null;
+
+    // scheduleId → timer for its next run
+    this.timers = new Map();
+    this.isRunning = false;
+  }
+
+  /**
+   * Load schedules from disk and arm their timers
+   *
+   * @param {object} options
+   * @param {RateLimiter} options.rateLimiter - the per-key submission limiter
+   *   (see rateLimiter.js); each run costs its owner one token
+   */
+  start({ rateLimiter = null } = {}) {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    this.rateLimiter = rateLimiter;
+
+    this.schedules = this.store.load();
+    let missed = 0;
+
+    for (const schedule of this.schedules.values()) {
+      if (schedule.paused) continue;
+
+      if (schedule.nextRunAt !== null && schedule.nextRunAt <= Date.now()) {
+        missed++;
+        this.arm(schedule, Date.now()); // Catch up once
+      } else {
+        this.arm(schedule);
+      }
+    }
+
+    console.log(`[Schedules] Started: ${this.schedules.size} schedule(s)${missed ? `, ${missed} missed run(s) firing now` : ''}`);
+  }
+
+  stop() {
+    this.isRunning = false;
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+  }
+
+  /**
+   * Create a schedule
+   *
+   * @param {object} spec - { name?, cron, prompt, priority, provider,
+   *   fallbackProvider, generationOptions, owner } (already validated, apart from cron)
+   * @throws {Error} if the cron expression is invalid or never fires, or
+   *   (with code SCHEDULE_LIMIT) if the owner already has the most allowed
+   */
+  create({ name = null, cron, prompt, priority, provider, fallbackProvider, generationOptions, owner = null }) {
+    const owned = [...this.schedules.values()].filter(schedule => schedule.owner === owner).length;
+    if (owned >= this.maxPerOwner) {
+      const error = new Error(`At most ${this.maxPerOwner} schedules are allowed per owner - delete one first`);
+      error.code = SCHEDULE_LIMIT;
+      throw error;
+    }
+
+    const expression = new CronExpression(cron);
+    const nextRunAt = expression.next();
+    if (nextRunAt === null) {
+      throw new Error(`Cron expression "${cron}" never fires`);
+    }
+
+    const schedule = {
+      id: `sched_${uuidv4().slice(0, 8)}`,
+      name,
+      cron: expression.expression,
+      prompt: prompt.trim(),
+      priority,
+      provider,
+      fallbackProvider,
+      generationOptions,
+      owner,
+      paused: false,
+      createdAt: Date.now(),
+      nextRunAt,
+      lastRunAt: null,
+      lastTaskId: null,
+      lastError: null,
+      runCount: 0
+    };
+
+    this.schedules.set(schedule.id, schedule);
+    this.persist(schedule);
+    this.arm(schedule);
+
+    console.log(`[Schedules] Created ${schedule.id} (${schedule.cron}), first run ${new Date(nextRunAt).toISOString()}`);
+    return schedule;
+  }
+
+  get(scheduleId) {
+    return this.schedules.get(scheduleId) || null;
+  }
+
+  /**
+   * Every schedule, soonest next run first (paused ones last)
+   */
+  list() {
+    return [...this.schedules.values()]
+      .sort((a, b) => (a.nextRunAt ?? Infinity) - (b.nextRunAt ?? Infinity));
+  }
+
+  /**
+   * Stop creating tasks until resumed - runs in between are skipped, not queued up
+   */
+  pause(scheduleId) {
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) return null;
+
+    schedule.paused = true;
+    schedule.nextRunAt = null;
+    clearTimeout(this.timers.get(scheduleId));
+    this.timers.delete(scheduleId);
+    this.persist(schedule);
+    return schedule;
+  }
+
+  resume(scheduleId) {
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) return null;
+
+    schedule.paused = false;
+    schedule.nextRunAt = new CronExpression(schedule.cron).next();
+    this.persist(schedule);
+    this.arm(schedule);
+    return schedule;
+  }
+
+  /**
+   * Delete a schedule - tasks it already created are left alone
+   */
+  remove(scheduleId) {
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) return null;
+
+    clearTimeout(this.timers.get(scheduleId));
+    this.timers.delete(scheduleId);
+    this.schedules.delete(scheduleId);
+    this.store.delete(scheduleId);
+    if (this.store.needsCompaction(this.schedules.size)) {
+      this.store.compact(this.schedules.values());
+    }
+    return schedule;
+  }
+
+  /**
+   * Set the timer for a schedule's next run (or `at`, for a catch-up run)
+   */
+  arm(schedule, at = schedule.nextRunAt) {
+    clearTimeout(this.timers.get(schedule.id));
+    if (!this.isRunning || schedule.paused || at === null) return;
+
+    const delay = Math.max(0, at - Date.now());
+    const timer = setTimeout(() => {
+      this.timers.delete(schedule.id);
+      if (at > Date.now()) {
+        this.arm(schedule, at); // A long wait, re-armed
+      } else {
+        this.fire(schedule);
+      }
+    }, Math.min(delay, MAX_TIMER_DELAY));
+
+    this.timers.set(schedule.id, timer);
+  }
+
+  /**
+   * Create this run's task, then arm the next run
+   */
+  fire(schedule) {
+    if (!this.schedules.has(schedule.id) || schedule.paused) return;
+
+    schedule.lastRunAt = Date.now();
+    try {
+      // Checked first, charged only once the task exists - a skipped run costs nothing
+      const limit = this.rateLimiter?.enabled ? this.rateLimiter.status(schedule.owner) : null;
+      if (limit && limit.retryAfterMs > 0) {
+        this.rateLimiter.rejected++;
+        throw new Error(`Rate limit exceeded - ${limit.limit} tasks per burst, ${limit.perMinute} per minute`);
+      }
+
+      const task = queueManager.createTask(schedule.prompt, {
+        priority: schedule.priority,
+        provider: schedule.provider,
+        fallbackProvider: schedule.fallbackProvider,
+        generationOptions: schedule.generationOptions,
+        owner: schedule.owner,
+        scheduleId: schedule.id
+      });
+      if (limit) this.rateLimiter.take(schedule.owner);
+      schedule.lastTaskId = task.id;
+      schedule.lastError = null;
+      schedule.runCount++;
+      console.log(`[Schedules] ${schedule.id} fired: task ${task.id}`);
+    } catch (error) {
+      // Rate limited, queue full or draining - skip this run, the next one may fare better
+      schedule.lastError = { message: error.message, at: schedule.lastRunAt };
+      console.warn(`[Schedules] ${schedule.id} skipped a run: ${error.message}`);
+    }
+
+    schedule.nextRunAt = new CronExpression(schedule.cron).next();
+    this.persist(schedule);
+    this.arm(schedule);
+  }
+
+  persist(schedule) {
+    this.store.save(schedule);
+    if (this.store.needsCompaction(this.schedules.size)) {
+      this.store.compact(this.schedules.values());
+    }
+  }
+}
+
+// Singleton instance
+const scheduleManager = new ScheduleManager();
+
+scheduleManager.SCHEDULE_LIMIT = SCHEDULE_LIMIT;
+
+module.exports = scheduleManager;
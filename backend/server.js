@@ -9,6 +9,7 @@
  * - Server-Sent Events (SSE) for real-time updates
  * - CORS for cross-origin requests
  * - Static file serving
+ * - API key authentication and per-owner access (see auth.js)
  */
 
 require('dotenv').config();
@@ -19,9 +20,34 @@ const path = require('path');
 
 const queueManager = require('./queue');
 const worker = require('./worker');
+const providerRegistry = require('./providers');
+const { validateGenerationOptions } = require('./generationOptions');
+const imageStore = require('./imageStore');
+const webhooks = require('./webhooks');
+const metrics = require('./metrics');
+const ApiKeyAuth = require('./auth');
+const RateLimiter = require('./rateLimiter');
+const schedules = require('./schedules');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const auth = ApiKeyAuth.fromEnv();
+
+// Submission rate limits - one bucket per API key owner and one per IP (see rateLimiter.js)
+// The default bursts hold at least MAX_BATCH_SIZE tokens, so a full batch gets through
+const keyLimiter = RateLimiter.fromEnv('key', 'RATE_LIMIT_KEY', { burst: 50, perMinute: 60 });
+const ipLimiter = RateLimiter.fromEnv('ip', 'RATE_LIMIT_IP', { burst: 100, perMinute: 120 });
+
+// Behind a reverse proxy, req.ip is the proxy's address unless we trust X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
+// Reload the queue from disk before accepting any requests
+queueManager.restore();
+
+// Evict old finished tasks now and periodically from here on
+queueManager.startRetentionSweep();
 
 // Middleware
 app.use(cors());
@@ -30,6 +56,191 @@ app.use(express.json());
 // Serve static frontend files
 app.use(express.static(path.join(__dirname, '../frontend')));
 
+// Everything after this needs an API key (once any are configured) - sets req.principal
+app.use(auth.authenticate);
+
+// ============================================
+// Request Validation
+// ============================================
+
+// Largest batch accepted by POST /batches (the queue limit still applies)
+// A batch also can't be bigger than the rate limit burst - see enforceRateLimit()
+const MAX_BATCH_SIZE = 50;
+
+/**
+ * Check a single prompt - returns an error message, or null if it's valid
+ */
+function validatePrompt(prompt) {
+  if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+    return 'Prompt is required and must be a non-empty string';
+  }
+
+  if (prompt.length > 1000) {
+    return 'Prompt must be 1000 characters or less';
+  }
+
+  return null;
+}
+
+/**
+ * Validate the task settings shared by POST /tasks, POST /batches and DLQ replay
+ * Fields missing from the body take their value from `defaults`
+ * (pass {} to get only the fields that were sent - the rest stay undefined)
+ * Returns { error } with a message, or { options } ready for createTask
+ */
+function parseTaskOptions(body, defaults = {
+  priority: 'normal',
+  provider: providerRegistry.defaultProvider,
+  fallbackProvider: providerRegistry.defaultFallback,
+  generationOptions: {}
+}) {
+  const {
+    priority = defaults.priority,
+    provider = defaults.provider,
+    fallbackProvider = defaults.fallbackProvider,
+    options
+  } = body;
+
+  if (priority !== undefined && !Object.hasOwn(queueManager.PRIORITY_LEVELS, priority)) {
+    return { error: `Priority must be one of: ${Object.keys(queueManager.PRIORITY_LEVELS).join(', ')}` };
+  }
+
+  for (const name of [provider, fallbackProvider]) {
+    if (name != null && !providerRegistry.has(name)) {
+      return { error: `Unknown provider "${name}". Available: ${providerRegistry.list().join(', ')}` };
+    }
+  }
+
+  try {
+    const generationOptions = options === undefined
+      ? defaults.generationOptions
+      : validateGenerationOptions(options);
+    return { options: { priority, provider, fallbackProvider, generationOptions } };
+  } catch (validationError) {
+    return { error: validationError.message };
+  }
+}
+
+// Furthest ahead a task can be scheduled with runAt
+const MAX_RUN_AT_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an optional runAt (ISO 8601 string or ms timestamp)
+ * Returns { error }, or { runAt } - null when it wasn't sent. A time already
+ * past is fine: the task just runs now.
+ */
+function parseRunAt(value) {
+  if (value === undefined || value === null) return { runAt: null };
+
+  const runAt = typeof value === 'number' ? value : typeof value === 'string' ? Date.parse(value) : NaN;
+  if (!Number.isFinite(runAt)) {
+    return { error: 'runAt must be an ISO 8601 date string or a timestamp in milliseconds' };
+  }
+  if (runAt - Date.now() > MAX_RUN_AT_AHEAD_MS) {
+    return { error: 'runAt can be at most 365 days in the future' };
+  }
+  return { runAt };
+}
+
+// ============================================
+// Ownership
+// ============================================
+
+/**
+ * May the caller see this task (or batch)?
+ */
+function canSee(req, item) {
+  return auth.canAccess(req.principal, item.owner ?? null);
+}
+
+/**
+ * The task with this id, if the caller may see it
+ * Someone else's task gets the same 404 as a missing one - we don't confirm
+ * which ids exist to people who can't see them.
+ */
+function findVisibleTask(req, taskId) {
+  const task = queueManager.getTask(taskId);
+  return task && canSee(req, task) ? task : null;
+}
+
+function findVisibleSchedule(req, scheduleId) {
+  const schedule = schedules.get(scheduleId);
+  return schedule && canSee(req, schedule) ? schedule : null;
+}
+
+function findVisibleDeadLetter(req, taskId) {
+  const task = queueManager.getDeadLetter(taskId);
+  return task && canSee(req, task) ? task : null;
+}
+
+// ============================================
+// Rate Limiting
+// ============================================
+
+/**
+ * The rate limits a caller's submissions count against
+ * Without API keys everyone is "anonymous", so only the IP tells clients apart.
+ */
+function submissionLimits(req) {
+  return [
+    ...(auth.enabled ? [{ limiter: keyLimiter, key: req.principal.id }] : []),
+    { limiter: ipLimiter, key: req.ip }
+  ].filter(({ limiter }) => limiter.enabled);
+}
+
+function setRateLimitHeaders(res, status) {
+  if (!status) return;
+  res.set({
+    'X-RateLimit-Limit': String(status.limit),
+    'X-RateLimit-Remaining': String(status.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(status.resetMs / 1000)) // Seconds until fully refilled
+  });
+}
+
+/**
+ * Charge a submission of `cost` tasks to the caller's rate limits
+ * Returns true if it may go ahead; otherwise the 429 (or 400) has been sent.
+ */
+function enforceRateLimit(req, res, cost) {
+  const checks = submissionLimits(req);
+
+  // More tasks than a full bucket holds would never get through - don't say "retry later"
+  const largestAllowed = Math.min(...checks.map(({ limiter }) => limiter.burst));
+  if (cost > largestAllowed) {
+    res.status(400).json({
+      error: 'Invalid request',
+      message: `A submission can contain at most ${largestAllowed} tasks (the rate limit burst)`
+    });
+    return false;
+  }
+
+  const { allowed, status } = RateLimiter.consume(checks, cost);
+  setRateLimitHeaders(res, status);
+
+  if (!allowed) {
+    const retryAfter = Math.ceil(status.retryAfterMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      error: 'Too many requests',
+      message: `Submission rate limit reached (per ${status.limiter}) - try again in ${retryAfter}s`,
+      retryAfter
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * 503 for submissions while the queue is draining (see QueueManager#drain)
+ * Checked before the rate limit, so a rejected submission costs no quota.
+ */
+function sendDraining(res) {
+  return res.status(503).json({
+    error: 'Draining',
+    message: 'The queue is draining and not accepting new tasks. Please try again later.'
+  });
+}
+
 // ============================================
 // API Routes
 // ============================================
@@ -38,30 +249,89 @@ app.use(express.static(path.join(__dirname, '../frontend')));
  * POST /tasks
  * Submit a new image generation task
  * 
- * Request: { prompt: "a cat wearing sunglasses" }
+ * Request: {
+ *   prompt: "a cat wearing sunglasses",
+ *   priority?: "low" | "normal" | "high",
+ *   provider?: "pollinations" | "local" | ...,
+ *   fallbackProvider?: <provider name>,
+ *   options?: { width?, height?, model?, seed?, negativePrompt? },
+ *   callbackUrl?: "https://example.com/hooks/images",
+ *   runAt?: "2025-01-01T09:00:00Z" (or a ms timestamp)
+ * }
+ * Optional header: Idempotency-Key: <any unique string, up to 255 chars>
  * Response: { id, prompt, state, estimatedWaitTime, ... }
+ * 
+ * Repeating a request with the same Idempotency-Key returns the original task
+ * (200, with an Idempotent-Replayed: true header) instead of creating another.
+ * Reusing a key for a different request is rejected with 422.
+ * 
+ * Each new task costs one token from the caller's rate limits; when they're
+ * used up the answer is 429 with Retry-After. Replays are free.
+ * 
+ * With a callbackUrl, the finished task is POSTed there (signed - see
+ * webhooks.js) and the delivery status appears as `task.webhook`.
+ * 
+ * With a future runAt, the task waits in the 'scheduled' state and joins the
+ * queue at that time.
  */
 app.post('/tasks', (req, res) => {
   try {
-    const { prompt } = req.body;
+    // No JSON body at all leaves req.body undefined - validate it as empty (a 400, not a 500)
+    const body = req.body || {};
+    const { prompt, callbackUrl } = body;
+    const idempotencyKey = req.get('Idempotency-Key');
 
     // Validate input
-    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
-      return res.status(400).json({
-        error: 'Invalid request',
-        message: 'Prompt is required and must be a non-empty string'
-      });
+    const promptError = validatePrompt(prompt);
+    const { error: optionsError, options } = parseTaskOptions(body);
+    const { error: runAtError, runAt } = parseRunAt(body.runAt);
+    const keyError = idempotencyKey !== undefined && (idempotencyKey.length === 0 || idempotencyKey.length > 255)
+      ? 'Idempotency-Key must be between 1 and 255 characters'
+      : null;
+    let callbackError = null;
+    if (callbackUrl !== undefined) {
+      callbackError = webhooks.enabled
+        ? webhooks.validateCallbackUrl(callbackUrl)
+        : 'callbackUrl is not available - the server has no WEBHOOK_SECRET configured';
     }
 
-    if (prompt.length > 1000) {
+    if (promptError || optionsError || runAtError || keyError || callbackError) {
       return res.status(400).json({
         error: 'Invalid request',
-        message: 'Prompt must be 1000 characters or less'
+        message: promptError || optionsError || runAtError || keyError || callbackError
       });
     }
 
+    // Keep the URL as the parser serializes it, not as sent - quotes and other
+    // characters that could break out of HTML attributes come out percent-encoded
+    const normalizedCallbackUrl = callbackUrl ? new URL(callbackUrl).href : null;
+
+    if (idempotencyKey) {
+      const existing = queueManager.findByIdempotencyKey(idempotencyKey, req.principal.id);
+      if (existing) {
+        if (existing.requestFingerprint !== queueManager.requestFingerprint(prompt, { ...options, runAt, callbackUrl: normalizedCallbackUrl })) {
+          return res.status(422).json({
+            error: 'Idempotency key reused',
+            message: 'This Idempotency-Key was already used for a different request'
+          });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(200).json(existing);
+      }
+    }
+
+    if (!queueManager.isAcceptingTasks()) return sendDraining(res);
+    if (!enforceRateLimit(req, res, 1)) return;
+
     // Create the task
-    const task = queueManager.createTask(prompt);
+    const task = queueManager.createTask(prompt, {
+      ...options,
+      idempotencyKey: idempotencyKey || null,
+      callbackUrl: normalizedCallbackUrl,
+      owner: req.principal.id,
+      runAt
+    });
 
     console.log(`[Task] New task submitted: ${task.id}`);
 
@@ -70,6 +340,13 @@ app.post('/tasks', (req, res) => {
   } catch (error) {
     console.error('Error creating task:', error.message);
 
+    if (error.code === 'SCHEDULED_LIMIT') {
+      return res.status(409).json({
+        error: 'Scheduled task limit reached',
+        message: error.message
+      });
+    }
+
     if (error.message.includes('Queue full')) {
       return res.status(503).json({
         error: 'Queue full',
@@ -86,10 +363,10 @@ app.post('/tasks', (req, res) => {
 
 /**
  * GET /tasks
- * Get all tasks (for initial state load)
+ * Get all of the caller's tasks (every task, for an admin)
  */
 app.get('/tasks', (req, res) => {
-  const tasks = queueManager.getAllTasks();
+  const tasks = queueManager.getAllTasks().filter(task => canSee(req, task));
   res.json(tasks);
 });
 
@@ -98,7 +375,7 @@ app.get('/tasks', (req, res) => {
  * Get a specific task by ID
  */
 app.get('/tasks/:id', (req, res) => {
-  const task = queueManager.getTask(req.params.id);
+  const task = findVisibleTask(req, req.params.id);
 
   if (!task) {
     return res.status(404).json({
@@ -112,19 +389,573 @@ app.get('/tasks/:id', (req, res) => {
 
 /**
  * DELETE /tasks/:id
- * Cancel a pending task
+ * Cancel a task that hasn't finished - a request in flight is aborted
+ * The task stays around in the 'cancelled' state
  */
 app.delete('/tasks/:id', (req, res) => {
-  const success = queueManager.cancelTask(req.params.id);
+  const task = findVisibleTask(req, req.params.id);
 
-  if (!success) {
-    return res.status(400).json({
+  if (!task) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Task not found'
+    });
+  }
+
+  if (!queueManager.cancelTask(task.id)) {
+    return res.status(409).json({
       error: 'Cannot cancel',
-      message: 'Task not found or cannot be canceled (may be processing)'
+      message: `Task already ${task.state}`
+    });
+  }
+
+  res.json({ success: true, message: 'Task cancelled', task });
+});
+
+// ============================================
+// Image Routes
+// ============================================
+
+/**
+ * GET /images/:taskId
+ * The stored image for a completed task
+ * 
+ * WHY CACHE FOREVER: a task's image never changes once it's generated, so
+ * browsers can keep it indefinitely ("immutable"). The ETag is the content
+ * hash, so a revalidation is answered with a bodyless 304.
+ * With authentication on, only the browser may cache it ("private") - a
+ * shared cache would hand it to people who don't own the task.
+ */
+app.get('/images/:taskId', (req, res) => {
+  const task = findVisibleTask(req, req.params.taskId);
+  const result = task?.state === 'completed' ? task.result : null;
+
+  if (!result?.hash) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'No stored image for this task'
+    });
+  }
+
+  const etag = `"${result.hash}"`;
+  res.set({
+    'Cache-Control': `${auth.enabled ? 'private' : 'public'}, max-age=31536000, immutable`,
+    'ETag': etag,
+    'Content-Type': result.contentType,
+    'X-Content-Type-Options': 'nosniff'
+  });
+
+  if (req.headers['if-none-match'] === etag) {
+    return res.status(304).end();
+  }
+
+  res.sendFile(imageStore.pathFor(result.hash, result.contentType), {
+    etag: false,
+    lastModified: false,
+    cacheControl: false
+  }, (error) => {
+    if (error && !res.headersSent) {
+      res.removeHeader('Cache-Control');
+      res.removeHeader('ETag');
+      res.status(404).json({
+        error: 'Not found',
+        message: 'Image file is missing from the image store'
+      });
+    }
+  });
+});
+
+// ============================================
+// Batch Routes
+// ============================================
+
+/**
+ * POST /batches
+ * Submit many prompts at once as one batch
+ * 
+ * Request: { prompts: ["a cat", "a dog", ...], priority?, provider?, fallbackProvider?, options?, runAt? }
+ * The task settings (and runAt) apply to every prompt in the batch.
+ * Response: { batch: { id, total, counts, progress, done }, tasks: [...] }
+ */
+app.post('/batches', (req, res) => {
+  try {
+    const body = req.body || {};
+    const { prompts } = body;
+
+    if (!Array.isArray(prompts) || prompts.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Prompts must be a non-empty array of strings'
+      });
+    }
+
+    if (prompts.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: `A batch can contain at most ${MAX_BATCH_SIZE} prompts`
+      });
+    }
+
+    // Validate every prompt before creating anything
+    for (const [index, prompt] of prompts.entries()) {
+      const promptError = validatePrompt(prompt);
+      if (promptError) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: `Prompt ${index + 1}: ${promptError}`
+        });
+      }
+    }
+
+    const { error: optionsError, options } = parseTaskOptions(body);
+    const { error: runAtError, runAt } = parseRunAt(body.runAt);
+    if (optionsError || runAtError) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: optionsError || runAtError
+      });
+    }
+
+    // One token per prompt
+    if (!queueManager.isAcceptingTasks()) return sendDraining(res);
+    if (!enforceRateLimit(req, res, prompts.length)) return;
+
+    const batch = queueManager.createBatch(prompts, { ...options, owner: req.principal.id, runAt });
+
+    console.log(`[Batch] New batch submitted: ${batch.batch.id} (${prompts.length} tasks)`);
+
+    res.status(201).json(batch);
+
+  } catch (error) {
+    console.error('Error creating batch:', error.message);
+
+    if (error.code === 'SCHEDULED_LIMIT') {
+      return res.status(409).json({
+        error: 'Scheduled task limit reached',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Queue full')) {
+      return res.status(503).json({
+        error: 'Queue full',
+        message: 'The batch does not fit in the queue. Please wait for some tasks to complete.'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal error',
+      message: 'Failed to create batch'
+    });
+  }
+});
+
+/**
+ * GET /batches
+ * Get summaries of the caller's batches
+ */
+app.get('/batches', (req, res) => {
+  res.json(queueManager.getAllBatches().filter(batch => canSee(req, batch)));
+});
+
+/**
+ * GET /batches/:id
+ * Get a batch's aggregate status and its tasks
+ */
+app.get('/batches/:id', (req, res) => {
+  const batch = queueManager.getBatchSummary(req.params.id);
+
+  if (!batch || !canSee(req, batch)) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Batch not found'
+    });
+  }
+
+  const tasks = [...queueManager.batches.get(req.params.id).taskIds]
+    .map(id => queueManager.getTask(id))
+    .filter(Boolean);
+
+  res.json({ ...batch, tasks });
+});
+
+/**
+ * DELETE /batches/:id
+ * Cancel every task in the batch that hasn't finished yet
+ */
+app.delete('/batches/:id', (req, res) => {
+  const batch = queueManager.getBatchSummary(req.params.id);
+  const result = batch && canSee(req, batch) ? queueManager.cancelBatch(batch.id) : null;
+
+  if (!result) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Batch not found'
+    });
+  }
+
+  res.json({ success: true, ...result });
+});
+
+// ============================================
+// Dead-Letter Queue Routes
+// ============================================
+
+/**
+ * GET /dlq
+ * List the caller's dead-lettered tasks (failed for good), with their full error history
+ */
+app.get('/dlq', (req, res) => {
+  res.json(queueManager.getDeadLetters().filter(task => canSee(req, task)));
+});
+
+/**
+ * GET /dlq/:id
+ * Inspect one dead-lettered task
+ */
+app.get('/dlq/:id', (req, res) => {
+  const task = findVisibleDeadLetter(req, req.params.id);
+
+  if (!task) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Task not found in the dead-letter queue'
+    });
+  }
+
+  res.json(task);
+});
+
+/**
+ * POST /dlq/:id/replay
+ * Send one dead-lettered task back through the queue
+ * 
+ * Request (all optional - omitted fields keep the task's current values):
+ *   { priority?, provider?, fallbackProvider?, options? }
+ */
+app.post('/dlq/:id/replay', (req, res) => {
+  const task = findVisibleDeadLetter(req, req.params.id);
+
+  if (!task) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Task not found in the dead-letter queue'
+    });
+  }
+
+  const { error: optionsError, options } = parseTaskOptions(req.body || {}, task);
+  if (optionsError) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: optionsError
+    });
+  }
+
+  try {
+    const replayed = queueManager.replayDeadLetter(task.id, options);
+    console.log(`[DLQ] Replayed ${task.id}`);
+    res.json(replayed);
+  } catch (error) {
+    if (error.code === 'DRAINING') return sendDraining(res);
+    res.status(503).json({
+      error: 'Queue full',
+      message: 'The queue is at capacity. Please wait for some tasks to complete.'
+    });
+  }
+});
+
+/**
+ * POST /dlq/replay
+ * Replay many dead-lettered tasks at once
+ * 
+ * Request: { ids?: [...], priority?, provider?, fallbackProvider?, options? }
+ * Without ids, every dead-lettered task the caller owns is replayed (as many as fit in the queue).
+ * Overrides given here apply to every replayed task.
+ */
+app.post('/dlq/replay', (req, res) => {
+  const { ids } = req.body || {};
+
+  if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => typeof id !== 'string'))) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'ids must be an array of task ids'
+    });
+  }
+
+  // No defaults: fields that weren't sent stay undefined and keep each task's values
+  const { error: optionsError, options } = parseTaskOptions(req.body || {}, {});
+  if (optionsError) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: optionsError
+    });
+  }
+
+  // Oldest first; ids the caller can't see are skipped like missing ones
+  const visibleIds = queueManager.getDeadLetters().filter(task => canSee(req, task)).map(task => task.id).reverse();
+  const targets = ids ? ids.filter(id => visibleIds.includes(id)) : visibleIds;
+
+  const result = queueManager.replayDeadLetters(targets, options);
+  if (ids) result.skipped.push(...ids.filter(id => !visibleIds.includes(id)));
+  console.log(`[DLQ] Replayed ${result.replayed.length} tasks (${result.skipped.length} skipped)`);
+  res.json(result);
+});
+
+/**
+ * DELETE /dlq/:id
+ * Permanently delete one dead-lettered task
+ */
+app.delete('/dlq/:id', (req, res) => {
+  const task = findVisibleDeadLetter(req, req.params.id);
+  const { purged } = queueManager.purgeDeadLetters(task ? [task.id] : []);
+
+  if (purged.length === 0) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Task not found in the dead-letter queue'
+    });
+  }
+
+  res.json({ success: true, purged });
+});
+
+/**
+ * DELETE /dlq
+ * Purge the caller's dead-lettered tasks (the whole queue, for an admin)
+ */
+app.delete('/dlq', (req, res) => {
+  const ids = queueManager.getDeadLetters().filter(task => canSee(req, task)).map(task => task.id);
+  res.json({ success: true, ...queueManager.purgeDeadLetters(ids) });
+});
+
+// ============================================
+// Recurring Schedules
+// ============================================
+
+/**
+ * POST /schedules
+ * Create a task from the same settings every time a cron expression fires
+ * 
+ * Request: {
+ *   cron: "0 2 * * *" (minute hour day month weekday, server local time - or @daily etc.),
+ *   prompt: "a sunrise over the sea",
+ *   name?: "Nightly sunrise",
+ *   priority?, provider?, fallbackProvider?, options?
+ * }
+ * Response: { id, cron, nextRunAt, lastRunAt, lastTaskId, runCount, paused, ... }
+ * 
+ * Each run costs the owner one token from their per-key rate limit, like a
+ * hand-submitted task. If there's no token left, or the queue is full or
+ * draining when it fires, that run is skipped and recorded in lastError.
+ * An owner can have at most SCHEDULE_MAX_PER_OWNER schedules (409 beyond that).
+ */
+app.post('/schedules', (req, res) => {
+  const { prompt, cron, name = null } = req.body || {};
+
+  const promptError = validatePrompt(prompt);
+  const { error: optionsError, options } = parseTaskOptions(req.body || {});
+  const nameError = name !== null && (typeof name !== 'string' || name.length > 100)
+    ? 'Name must be a string of 100 characters or less'
+    : null;
+
+  if (promptError || optionsError || nameError) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: promptError || optionsError || nameError
+    });
+  }
+
+  try {
+    const schedule = schedules.create({ ...options, name, cron, prompt, owner: req.principal.id });
+    res.status(201).json(schedule);
+  } catch (error) {
+    if (error.code === schedules.SCHEDULE_LIMIT) {
+      return res.status(409).json({
+        error: 'Schedule limit reached',
+        message: error.message
+      });
+    }
+
+    // Invalid cron expression - the message says which field
+    res.status(400).json({
+      error: 'Invalid request',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /schedules
+ * The caller's schedules (every schedule, for an admin), next to run first
+ */
+app.get('/schedules', (req, res) => {
+  res.json(schedules.list().filter(schedule => canSee(req, schedule)));
+});
+
+/**
+ * GET /schedules/:id
+ * One schedule
+ */
+app.get('/schedules/:id', (req, res) => {
+  const schedule = findVisibleSchedule(req, req.params.id);
+
+  if (!schedule) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Schedule not found'
+    });
+  }
+
+  res.json(schedule);
+});
+
+/**
+ * POST /schedules/:id/pause, POST /schedules/:id/resume
+ * Stop creating tasks, or start again from the next cron time
+ * Runs that would have happened while paused are skipped.
+ */
+app.post('/schedules/:id/pause', (req, res) => {
+  const schedule = findVisibleSchedule(req, req.params.id);
+
+  if (!schedule) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Schedule not found'
+    });
+  }
+
+  console.log(`[Schedules] ${schedule.id} paused by ${req.principal.id}`);
+  res.json(schedules.pause(schedule.id));
+});
+
+app.post('/schedules/:id/resume', (req, res) => {
+  const schedule = findVisibleSchedule(req, req.params.id);
+
+  if (!schedule) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Schedule not found'
     });
   }
 
-  res.json({ success: true, message: 'Task canceled' });
+  console.log(`[Schedules] ${schedule.id} resumed by ${req.principal.id}`);
+  res.json(schedules.resume(schedule.id));
+});
+
+/**
+ * DELETE /schedules/:id
+ * Delete a schedule - tasks it already created are not cancelled
+ */
+app.delete('/schedules/:id', (req, res) => {
+  const schedule = findVisibleSchedule(req, req.params.id);
+
+  if (!schedule) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Schedule not found'
+    });
+  }
+
+  schedules.remove(schedule.id);
+  console.log(`[Schedules] ${schedule.id} deleted by ${req.principal.id}`);
+  res.json({ success: true, message: `Schedule ${schedule.id} deleted` });
+});
+
+/**
+ * GET /providers
+ * List registered image providers and the defaults
+ */
+app.get('/providers', (req, res) => {
+  res.json({
+    providers: providerRegistry.list(),
+    defaultProvider: providerRegistry.defaultProvider,
+    defaultFallback: providerRegistry.defaultFallback
+  });
+});
+
+// ============================================
+// Admin Routes
+// ============================================
+
+/**
+ * POST /admin/cleanup
+ * Run the retention policy now instead of waiting for the next sweep
+ * 
+ * Request (optional - defaults to the configured policy):
+ *   { maxAgeMs?: number, maxCount?: number }
+ * 0 turns a limit off, so { maxAgeMs: 1, maxCount: 0 } clears out every finished task.
+ * Admin only.
+ */
+app.post('/admin/cleanup', auth.requireAdmin, (req, res) => {
+  const overrides = {};
+
+  for (const field of ['maxAgeMs', 'maxCount']) {
+    const value = req.body?.[field];
+    if (value === undefined) continue;
+
+    if (!Number.isInteger(value) || value < 0) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: `${field} must be a non-negative integer`
+      });
+    }
+    overrides[field] = value;
+  }
+
+  const result = queueManager.runRetention(overrides);
+  res.json({
+    success: true,
+    ...result,
+    policy: { ...queueManager.retention.getStatus(), ...overrides }
+  });
+});
+
+/**
+ * POST /admin/pause, /admin/resume, /admin/drain
+ * Dispatch control - admin only
+ * 
+ * - pause: start nothing new; submissions still queue up
+ * - resume: back to normal
+ * - drain: start nothing new, reject new submissions (503), and let in-flight
+ *   tasks finish. The response comes back at once - watch `drainedAt` in
+ *   GET /stats (or the dispatch_state event) to know when it's safe to stop.
+ * Response: { state, changedAt, drainedAt, inFlight }
+ */
+app.post('/admin/pause', auth.requireAdmin, (req, res) => {
+  console.log(`[Admin] Pause requested by ${req.principal.id}`);
+  res.json(queueManager.pause());
+});
+
+app.post('/admin/resume', auth.requireAdmin, (req, res) => {
+  console.log(`[Admin] Resume requested by ${req.principal.id}`);
+  res.json(queueManager.resume());
+});
+
+app.post('/admin/drain', auth.requireAdmin, (req, res) => {
+  console.log(`[Admin] Drain requested by ${req.principal.id}`);
+  res.json(queueManager.drain());
+});
+
+/**
+ * GET /admin/rate-limits
+ * Limiter settings and every client currently using part of its quota
+ * Admin only.
+ */
+app.get('/admin/rate-limits', auth.requireAdmin, (req, res) => {
+  res.json({
+    key: { enabled: keyLimiter.enabled && auth.enabled, ...keyLimiter.getUsage() },
+    ip: { enabled: ipLimiter.enabled, ...ipLimiter.getUsage() }
+  });
+});
+
+/**
+ * GET /rate-limit
+ * The caller's own remaining submission quota (the tightest of its limits)
+ */
+app.get('/rate-limit', (req, res) => {
+  const limits = submissionLimits(req).map(({ limiter, key }) => limiter.status(key));
+  const tightest = limits.reduce((a, b) => (!a || b.remaining < a.remaining ? b : a), null);
+  res.json({ limited: limits.length > 0, ...tightest, limits });
 });
 
 /**
@@ -132,7 +963,23 @@ app.delete('/tasks/:id', (req, res) => {
  * Get queue statistics
  */
 app.get('/stats', (req, res) => {
-  res.json(queueManager.getStats());
+  res.json({
+    ...queueManager.getStats(),
+    // Share of the processing slots per submitter - yours, or everyone's for an admin
+    submitters: queueManager.getSubmitterShares().filter(share => canSee(req, share))
+  });
+});
+
+/**
+ * GET /metrics
+ * Counters, histograms and gauges in the Prometheus text format
+ * 
+ * Point a Prometheus scrape job at this to graph throughput, latency and
+ * retries over time - /stats only shows the current moment.
+ * Admin only - configure the scrape job with an admin key as its bearer token.
+ */
+app.get('/metrics', auth.requireAdmin, (req, res) => {
+  res.type(metrics.CONTENT_TYPE).send(metrics.registry.render());
 });
 
 // ============================================
@@ -150,13 +997,24 @@ app.get('/stats', (req, res) => {
  * - Standard HTTP, works with proxies/load balancers
  * 
  * SSE sends a stream of events. Each event has:
+ * - id: <number> (increases by one per event)
  * - event: <type> (task_submitted, task_completed, etc.)
  * - data: <json>
  * 
  * The browser's EventSource API handles:
  * - Connection management
- * - Automatic reconnection
+ * - Automatic reconnection (sending the last id back as Last-Event-ID)
  * - Event parsing
+ * 
+ * RESUMING: A client that reconnects with a Last-Event-ID header (or a
+ * ?lastEventId= query parameter, for clients that reconnect by hand) gets
+ * only the events it missed, as long as they're still in the replay buffer.
+ * Otherwise it gets a fresh snapshot. A ": heartbeat" comment every
+ * SSE_HEARTBEAT_MS keeps idle connections from being closed by proxies.
+ *
+ * EventSource can't send headers, so browsers pass their key as ?apiKey=.
+ * Task events only go to the task's owner (and admins); stats and circuit
+ * events go to everyone.
  */
 app.get('/queue/stream', (req, res) => {
   // Set headers for SSE
@@ -170,13 +1028,16 @@ app.get('/queue/stream', (req, res) => {
 
   // Register this client with the queue manager
   // The queue manager will push updates to all connected clients
-  queueManager.addSSEClient(res);
+  // Each client only receives events about tasks it may see
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+  const canSeeOwner = (owner) => auth.canAccess(req.principal, owner);
+  const mode = queueManager.addSSEClient(res, lastEventId, canSeeOwner);
 
-  console.log(`[SSE] Client connected (${queueManager.sseClients.size} total)`);
+  console.log(`[SSE] Client connected (${req.principal.id}, ${mode}, ${queueManager.events.clients.size} total)`);
 
   // Handle client disconnect
   req.on('close', () => {
-    console.log(`[SSE] Client disconnected (${queueManager.sseClients.size} total)`);
+    console.log(`[SSE] Client disconnected (${queueManager.events.clients.size} total)`);
   });
 });
 
@@ -188,7 +1049,8 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     uptime: process.uptime(),
-    queue: queueManager.getStats()
+    queue: queueManager.getStats(),
+    circuits: Object.values(queueManager.circuitStates)
   });
 });
 
@@ -196,7 +1058,7 @@ app.get('/health', (req, res) => {
 // Start Server
 // ============================================
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`
 +-------------------------------------------------------+
 |                                                       |
@@ -209,26 +1071,69 @@ app.listen(PORT, () => {
 |   - GET  /tasks      - List all tasks                 |
 |   - GET  /tasks/:id  - Get specific task              |
 |   - DELETE /tasks/:id - Cancel task                   |
+|   - GET  /images/:taskId - Stored task image          |
+|   - POST /batches    - Submit many prompts            |
+|   - GET  /batches/:id - Batch status                  |
+|   - DELETE /batches/:id - Cancel batch                |
+|   - GET  /dlq        - Dead-lettered tasks            |
+|   - POST /dlq/replay - Replay dead-lettered tasks     |
+|   - DELETE /dlq      - Purge dead-letter queue        |
+|   - POST /schedules  - Create a recurring schedule    |
+|   - GET  /schedules  - List schedules                 |
+|   - POST /schedules/:id/pause|resume - Pause/resume   |
+|   - DELETE /schedules/:id - Delete schedule           |
+|   - POST /admin/cleanup - Evict finished tasks        |
+|   - POST /admin/pause|resume|drain - Dispatch control |
+|   - GET  /admin/rate-limits - Rate limiter usage      |
+|   - GET  /rate-limit - Your remaining quota           |
+|   - GET  /providers  - Registered image providers     |
 |   - GET  /stats      - Queue statistics               |
+|   - GET  /metrics    - Prometheus metrics             |
 |   - GET  /queue/stream - Real-time SSE updates        |
 |                                                       |
 +-------------------------------------------------------+
   `);
 
   // Initialize and start the worker (no API key needed - Pollinations is free!)
+  console.log(auth.enabled
+    ? `[Auth] ${auth.principals.size} API keys configured`
+    : '[Auth] No API keys configured - authentication is off');
+
   worker.initialize();
   worker.start();
+  webhooks.start();
+  schedules.start({ rateLimiter: keyLimiter });
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('Received SIGTERM, shutting down gracefully...');
-  worker.stop();
-  process.exit(0);
-});
+// Drain first: tasks mid-request get up to SHUTDOWN_TIMEOUT_MS to finish.
+// Anything still processing after that is journaled as processing, and
+// restore() puts it back in line on the next start.
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 30000;
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  // A second Ctrl+C means "now"
+  if (shuttingDown) {
+    console.log(`Received ${signal} again, exiting without waiting`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  schedules.stop(); // Draining would reject their tasks anyway
+
+  const { inFlight } = queueManager.drain();
+  console.log(`Received ${signal}, draining ${inFlight} in-flight task(s) (up to ${SHUTDOWN_TIMEOUT_MS / 1000}s)...`);
+  server.close(); // No new connections; open ones (SSE) still see the drain
+
+  const idle = await queueManager.whenIdle(SHUTDOWN_TIMEOUT_MS);
+  if (!idle) {
+    console.warn(`[Shutdown] ${queueManager.currentlyProcessing} task(s) still processing - they'll be requeued on the next start`);
+  }
 
-process.on('SIGINT', () => {
-  console.log('Received SIGINT, shutting down gracefully...');
   worker.stop();
+  webhooks.stop();
   process.exit(0);
-});
\ No newline at end of file
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
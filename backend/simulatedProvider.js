@@ -0,0 +1,297 @@
+/**
+ * Simulated Image Provider ("mock mode")
+ *
+ * A fault-injection stand-in for Pollinations. It never touches the network:
+ * it waits for a random latency, then either fails with one of the errors the
+ * real API produces or returns a generated placeholder image.
+ *
+ * WHY A SIMULATOR:
+ * The retry and backoff logic in QueueManager.failTask only matters when things
+ * go wrong - and a healthy API rarely goes wrong on cue. With configurable error
+ * rates we can watch 429s, 5xx, timeouts and permanent failures move through the
+ * queue on demand, offline, without burning anyone's API quota.
+ *
+ * KEY CONCEPTS:
+ * - Seeded PRNG (mulberry32) so runs are reproducible
+ * - Latency distributions (fixed, uniform, normal, exponential)
+ * - Errors shaped exactly like PollinationsClient's (code, statusCode, isRetryable)
+ */
+
+const crypto = require('crypto');
+const PollinationsClient = require('./pollinations');
+const LocalProvider = require('./localProvider');
+
+// Error types the simulator can inject, keyed by the name used in error rate config
+const ERROR_TYPES = ['429', '500', '503', '403', 'timeout', 'invalid_content'];
+
+// Attempt counts are kept for this many recently used prompts (see createRandom)
+const MAX_TRACKED_PROMPTS = 10000;
+
+const DEFAULT_OPTIONS = {
+  seed: 42,
+  latency: {
+    distribution: 'normal', // fixed | uniform | normal | exponential
+    mean: 3000,
+    stddev: 1000,
+    min: 200,
+    max: 15000
+  },
+  // Probability of each error per call (the rest succeed) - ~10% total by default
+  errorRates: {
+    '429': 0.03,
+    '500': 0.02,
+    '503': 0.02,
+    '403': 0.01,
+    timeout: 0.01,
+    invalid_content: 0.01
+  },
+  // How long a simulated timeout hangs before failing
+  timeoutMs: 10000
+};
+
+/**
+ * mulberry32 - tiny, fast, seedable PRNG
+ * Math.random() can't be seeded, so it can't give reproducible runs.
+ */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class SimulatedProvider {
+  constructor(options = {}) {
+    this.name = 'simulated';
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      latency: { ...DEFAULT_OPTIONS.latency, ...options.latency },
+      errorRates: { ...DEFAULT_OPTIONS.errorRates, ...options.errorRates }
+    };
+
+    // Successful calls produce real placeholder images via the local provider
+    this.imageProvider = new LocalProvider();
+
+    // Used only for its error classification, so simulated errors match the real ones
+    this.classifier = new PollinationsClient();
+
+    // How many times each prompt has been attempted - see createRandom()
+    // Least recently used first, capped at MAX_TRACKED_PROMPTS
+    this.callCounts = new Map();
+  }
+
+  /**
+   * Build a simulator from MOCK_* environment variables
+   *
+   *   MOCK_SEED=42
+   *   MOCK_LATENCY=normal:3000:1000      (distribution:mean[:stddev])
+   *   MOCK_LATENCY_RANGE=200:15000       (min:max clamp, also the uniform range)
+   *   MOCK_ERROR_RATES=429:0.05,503:0.05,timeout:0.02
+   *   MOCK_TIMEOUT_MS=10000
+   */
+  static fromEnv(env = process.env) {
+    const options = {};
+
+    if (env.MOCK_SEED) options.seed = parseInt(env.MOCK_SEED, 10);
+    if (env.MOCK_TIMEOUT_MS) options.timeoutMs = parseInt(env.MOCK_TIMEOUT_MS, 10);
+
+    if (env.MOCK_LATENCY || env.MOCK_LATENCY_RANGE) {
+      options.latency = {};
+      if (env.MOCK_LATENCY) {
+        const [distribution, mean, stddev] = env.MOCK_LATENCY.split(':');
+        options.latency.distribution = distribution;
+        if (mean) options.latency.mean = Number(mean);
+        if (stddev) options.latency.stddev = Number(stddev);
+      }
+      if (env.MOCK_LATENCY_RANGE) {
+        const [min, max] = env.MOCK_LATENCY_RANGE.split(':').map(Number);
+        options.latency.min = min;
+        options.latency.max = max;
+      }
+    }
+
+    if (env.MOCK_ERROR_RATES) {
+      options.errorRates = {};
+      for (const pair of env.MOCK_ERROR_RATES.split(',')) {
+        const [type, rate] = pair.split(':');
+        if (!ERROR_TYPES.includes(type.trim())) {
+          throw new Error(`Unknown MOCK_ERROR_RATES type "${type}". Use: ${ERROR_TYPES.join(', ')}`);
+        }
+        options.errorRates[type.trim()] = Number(rate);
+      }
+    }
+
+    return new SimulatedProvider(options);
+  }
+
+  /**
+   * Simulate generating an image
+   *
+   * Prompts containing "fail permanently" always get a 403 - handy for
+   * demonstrating non-retryable errors without tuning error rates.
+   * 
+   * Aborting `signal` cancels the simulated request, like a real fetch.
+   */
+  async generateImage(prompt, options = {}, onProgress, signal) {
+    const startTime = Date.now();
+    const random = this.createRandom(prompt);
+
+    if (onProgress) onProgress(10);
+
+    const outcome = /fail permanently/i.test(prompt) ? '403' : this.pickOutcome(random);
+
+    if (outcome === 'timeout') {
+      await this.wait(this.options.timeoutMs, startTime, onProgress, signal);
+      const timeoutError = new Error('Image generation timed out');
+      timeoutError.code = 'TIMEOUT';
+      timeoutError.isRetryable = true;
+      throw timeoutError;
+    }
+
+    await this.wait(this.sampleLatency(random), startTime, onProgress, signal);
+
+    if (outcome === 'invalid_content') {
+      const error = new Error('API did not return an image');
+      error.code = 'INVALID_RESPONSE';
+      error.isRetryable = true;
+      throw error;
+    }
+
+    if (outcome !== 'success') {
+      const statusCode = Number(outcome);
+      const error = new Error(`HTTP ${statusCode}: simulated failure`);
+      error.code = `HTTP_${statusCode}`;
+      error.statusCode = statusCode;
+      error.isRetryable = this.classifier.isRetryableStatusCode(statusCode);
+
+      // Real rate limiters usually say when to come back
+      if (statusCode === 429) {
+        error.retryAfterMs = Math.ceil(1 + random() * 9) * 1000;
+      }
+      throw error;
+    }
+
+    const result = await this.imageProvider.generateImage(prompt, {
+      model: 'simulated',
+      ...options
+    }, null, signal);
+    if (onProgress) onProgress(100);
+
+    return {
+      ...result,
+      processingTime: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Create the random stream for one call
+   *
+   * WHY PER-PROMPT STREAMS: With 5 tasks running concurrently, the order calls
+   * reach the provider depends on timing. A single shared stream would hand out
+   * different numbers to different tasks on every run. Seeding from
+   * (seed, prompt, attempt number) makes each task's fate reproducible no matter
+   * how the calls interleave.
+   *
+   * The counts are capped so a long-running mock server doesn't grow forever:
+   * the least recently used prompt is forgotten (its next call counts as a
+   * first attempt again). Runs smaller than the cap are unaffected.
+   */
+  createRandom(prompt) {
+    const attempt = (this.callCounts.get(prompt) || 0) + 1;
+    this.callCounts.delete(prompt); // Re-inserting moves it to the most recently used end
+    this.callCounts.set(prompt, attempt);
+    if (this.callCounts.size > MAX_TRACKED_PROMPTS) {
+      this.callCounts.delete(this.callCounts.keys().next().value);
+    }
+
+    const digest = crypto.createHash('sha256')
+      .update(`${this.options.seed}:${attempt}:${prompt}`)
+      .digest();
+    return mulberry32(digest.readUInt32LE(0));
+  }
+
+  /**
+   * Pick 'success' or one of ERROR_TYPES according to the configured rates
+   */
+  pickOutcome(random) {
+    const roll = random();
+    let cumulative = 0;
+
+    for (const type of ERROR_TYPES) {
+      cumulative += this.options.errorRates[type] || 0;
+      if (roll < cumulative) return type;
+    }
+
+    return 'success';
+  }
+
+  /**
+   * Sample a latency (ms) from the configured distribution, clamped to [min, max]
+   */
+  sampleLatency(random) {
+    const { distribution, mean, stddev, min, max } = this.options.latency;
+    let value;
+
+    switch (distribution) {
+      case 'fixed':
+        value = mean;
+        break;
+      case 'uniform':
+        value = min + random() * (max - min);
+        break;
+      case 'exponential':
+        // Long tail - most calls are quick, a few are very slow
+        value = -mean * Math.log(1 - random());
+        break;
+      case 'normal':
+      default: {
+        // Box-Muller transform
+        const u1 = random() || Number.MIN_VALUE;
+        const u2 = random();
+        value = mean + stddev * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+        break;
+      }
+    }
+
+    return Math.round(Math.min(max, Math.max(min, value)));
+  }
+
+  /**
+   * Wait for `duration` ms, reporting progress like the real client does
+   * Rejects with a CANCELLED error as soon as `signal` aborts.
+   */
+  wait(duration, startTime, onProgress, signal) {
+    return new Promise((resolve, reject) => {
+      const progressInterval = setInterval(() => {
+        const elapsed = Date.now() - startTime;
+        const estimatedProgress = Math.min(90, 10 + Math.floor((elapsed / duration) * 80));
+        if (onProgress) onProgress(estimatedProgress);
+      }, 1000);
+
+      const onAbort = () => {
+        clearInterval(progressInterval);
+        clearTimeout(timeoutId);
+        const cancelError = new Error('Image generation was cancelled');
+        cancelError.code = 'CANCELLED';
+        cancelError.isRetryable = false;
+        reject(cancelError);
+      };
+
+      const timeoutId = setTimeout(() => {
+        clearInterval(progressInterval);
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, duration);
+
+      if (signal?.aborted) return onAbort();
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
+
+module.exports = SimulatedProvider;
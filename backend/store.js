@@ -0,0 +1,120 @@
+/**
+ * Task Store
+ *
+ * Durable storage behind QueueManager so the queue survives a restart.
+ *
+ * KEY CONCEPTS:
+ * - Append-only journal (one JSON record per line)
+ * - Replay on startup to rebuild in-memory state
+ * - Compaction to keep the journal from growing forever
+ *
+ * WHY A JOURNAL (not rewriting a JSON file on every change):
+ * Appending a line is cheap and never leaves a half-written snapshot behind.
+ * If the process dies mid-write, only the last line is damaged, and replay
+ * simply skips it. This is the same idea as a database write-ahead log.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STORE_PATH = path.join(__dirname, '../data/tasks.jsonl');
+
+class TaskStore {
+  constructor(filePath = process.env.TASK_STORE_PATH || DEFAULT_STORE_PATH) {
+    this.filePath = filePath;
+
+    // Number of records in the journal - used to decide when to compact
+    this.recordCount = 0;
+
+    // Compact once the journal holds this many records per live task
+    this.COMPACT_RATIO = 10;
+    this.MIN_COMPACT_RECORDS = 1000;
+  }
+
+  /**
+   * Replay the journal and return every task it describes
+   *
+   * Records are either { op: 'put', task } or { op: 'delete', id }.
+   * Later records win, so replaying in order yields the latest state.
+   */
+  load() {
+    const tasks = new Map();
+
+    if (!fs.existsSync(this.filePath)) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      return tasks;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    this.recordCount = 0;
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        // A torn write from a crash - skip it, earlier records are still valid
+        console.warn('[Store] Skipping corrupt journal record');
+        continue;
+      }
+
+      if (record.op === 'put' && record.task) {
+        tasks.set(record.task.id, record.task);
+      } else if (record.op === 'delete') {
+        tasks.delete(record.id);
+      }
+      this.recordCount++;
+    }
+
+    return tasks;
+  }
+
+  /**
+   * Persist the current state of a task
+   */
+  save(task) {
+    this.append({ op: 'put', task });
+  }
+
+  /**
+   * Record that a task was removed
+   */
+  delete(taskId) {
+    this.append({ op: 'delete', id: taskId });
+  }
+
+  /**
+   * Append a single record to the journal
+   */
+  append(record) {
+    fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+    this.recordCount++;
+  }
+
+  /**
+   * Check whether the journal has grown enough to be worth compacting
+   */
+  needsCompaction(liveTaskCount) {
+    const threshold = Math.max(this.MIN_COMPACT_RECORDS, liveTaskCount * this.COMPACT_RATIO);
+    return this.recordCount > threshold;
+  }
+
+  /**
+   * Rewrite the journal as a single snapshot of the live tasks
+   *
+   * WHY WRITE-THEN-RENAME: rename() is atomic, so a crash during compaction
+   * leaves either the old journal or the new one - never a mix of both.
+   */
+  compact(tasks) {
+    const tmpPath = `${this.filePath}.tmp`;
+    const lines = [...tasks].map(task => JSON.stringify({ op: 'put', task }));
+
+    fs.writeFileSync(tmpPath, lines.length ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tmpPath, this.filePath);
+    this.recordCount = lines.length;
+  }
+}
+
+module.exports = TaskStore;
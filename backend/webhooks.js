@@ -0,0 +1,333 @@
+/**
+ * Webhook Dispatcher
+ *
+ * Tells a task's submitter when it's done by POSTing to the task's callbackUrl,
+ * for services that can't keep an SSE connection open just to wait for one image.
+ *
+ * KEY CONCEPTS:
+ * - One delivery per task, sent when it completes or fails for good
+ *   (retries in between are not reported - only the final outcome)
+ * - Signed payloads: an HMAC-SHA256 of the timestamp and body, keyed with
+ *   WEBHOOK_SECRET, so the receiver can prove the request came from us
+ * - Deliveries retry on their own backoff schedule, separate from the task's.
+ *   A receiver being down doesn't change the task's outcome.
+ * - The delivery status lives on the task (`task.webhook`), so it's visible
+ *   through GET /tasks/:id and the dashboard, and survives a restart
+ *
+ * SIGNATURE: the X-Webhook-Signature header looks like `t=<unix ms>,v1=<hex>`,
+ * where hex = HMAC_SHA256(secret, `${t}.${rawBody}`). Including the timestamp
+ * lets receivers reject old requests replayed by someone who captured one.
+ * Same scheme as Stripe's webhooks.
+ *
+ * SSRF: the callbackUrl comes from the client, but the request comes from
+ * the server - from inside its network. Without a check, anyone could make
+ * it POST to localhost, the LAN, or a cloud metadata endpoint
+ * (169.254.169.254). So private, loopback and link-local addresses are
+ * refused, both when the URL is submitted and on every connection (the
+ * check runs on the resolved address, so a hostname that later resolves
+ * somewhere private is caught too), and redirects are never followed.
+ * Receivers on your own network can be allowed by hostname with
+ * WEBHOOK_ALLOWED_PRIVATE_HOSTS.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const queueManager = require('./queue');
+
+const MAX_URL_LENGTH = 2048;
+
+// Error code for a delivery refused because of where it would go - not worth retrying
+const BLOCKED_ADDRESS = 'ERR_WEBHOOK_BLOCKED_ADDRESS';
+
+// Addresses a callback may not reach: "this network", private, shared (CGNAT),
+// loopback, link-local (cloud metadata), benchmarking, multicast and reserved
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) match the IPv4 rules
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * "[::1]" → "::1", "Example.com." → "example.com"
+ */
+function normalizeHost(hostname) {
+  return hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+}
+
+/**
+ * Signature header value for a body sent at `timestamp`
+ */
+function sign(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+class WebhookDispatcher {
+  constructor({
+    secret = process.env.WEBHOOK_SECRET || null,
+    timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+    maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+    baseDelayMs = parseInt(process.env.WEBHOOK_BASE_DELAY_MS, 10) || 2000,
+    maxDelayMs = parseInt(process.env.WEBHOOK_MAX_DELAY_MS, 10) || 300000,
+    allowedPrivateHosts = (process.env.WEBHOOK_ALLOWED_PRIVATE_HOSTS || '').split(',')
+  } = {}) {
+    this.secret = secret;
+    this.timeoutMs = timeoutMs;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.allowedPrivateHosts = new Set(allowedPrivateHosts.map(host => normalizeHost(host.trim())).filter(Boolean));
+
+    this.isRunning = false;
+
+    // taskId → timer for its next delivery attempt
+    this.timers = new Map();
+
+    // Queue event handler, kept so stop() can remove it
+    this.onTaskFinished = (task) => this.enqueue(task);
+  }
+
+  /**
+   * Webhooks need a secret - an unsigned callback can't be trusted by the receiver
+   */
+  get enabled() {
+    return Boolean(this.secret);
+  }
+
+  /**
+   * Check a callbackUrl from a request - returns an error message, or null if it's fine
+   */
+  validateCallbackUrl(callbackUrl) {
+    if (typeof callbackUrl !== 'string' || callbackUrl.length === 0) {
+      return 'callbackUrl must be a non-empty string';
+    }
+    if (callbackUrl.length > MAX_URL_LENGTH) {
+      return `callbackUrl must be at most ${MAX_URL_LENGTH} characters`;
+    }
+
+    let url;
+    try {
+      url = new URL(callbackUrl);
+    } catch {
+      return 'callbackUrl must be a valid URL';
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return 'callbackUrl must use http or https';
+    }
+    if (this.blockedHost(url.hostname)) {
+      return 'callbackUrl must not point at a private, loopback or link-local address';
+    }
+    return null;
+  }
+
+  /**
+   * Why a callback may not go to this hostname, or null if it may
+   * Only catches what the name alone gives away (IP literals, localhost) -
+   * other names are checked once resolved, see lookup()
+   */
+  blockedHost(hostname) {
+    const host = normalizeHost(hostname);
+    if (this.allowedPrivateHosts.has(host)) return null;
+
+    if (host === 'localhost' || host.endsWith('.localhost')) return `${host} is a local address`;
+    if (isPrivateAddress(host)) return `${host} is a private address`;
+    return null;
+  }
+
+  /**
+   * dns.lookup for delivery connections - fails when a hostname that isn't
+   * allowed resolves to a private address. Runs on every connection, so the
+   * address that was checked is the address that gets used.
+   */
+  lookup(hostname) {
+    const allowed = this.allowedPrivateHosts.has(normalizeHost(hostname));
+
+    return (name, options, callback) => {
+      dns.lookup(name, options, (error, address, family) => {
+        if (error || allowed) return callback(error, address, family);
+
+        const addresses = Array.isArray(address) ? address : [{ address }];
+        const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+        if (blocked) {
+          const refused = new Error(`${hostname} resolves to private address ${blocked.address}`);
+          refused.code = BLOCKED_ADDRESS;
+          return callback(refused);
+        }
+        callback(null, address, family);
+      });
+    };
+  }
+
+  /**
+   * POST a body and resolve with the response status
+   * Plain http(s).request rather than fetch: it takes our lookup(), and it
+   * never follows redirects (a public URL redirecting to a private one).
+   */
+  post(url, headers, body) {
+    const target = new URL(url);
+
+    return new Promise((resolve, reject) => {
+      // IP literals never go through lookup(), so check them here
+      const blocked = this.blockedHost(target.hostname);
+      if (blocked) {
+        const refused = new Error(blocked);
+        refused.code = BLOCKED_ADDRESS;
+        return reject(refused);
+      }
+
+      const client = target.protocol === 'https:' ? https : http;
+      const request = client.request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: this.lookup(target.hostname)
+      }, (response) => {
+        clearTimeout(timer);
+        response.resume(); // The body isn't used - drain it so the socket is freed
+        resolve({ status: response.statusCode, ok: response.statusCode >= 200 && response.statusCode < 300 });
+      });
+
+      const timer = setTimeout(() => request.destroy(new Error(`Timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+      request.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      request.end(body);
+    });
+  }
+
+  /**
+   * Start listening for finished tasks, and resume deliveries interrupted by a restart
+   */
+  start() {
+    if (this.isRunning || !this.enabled) return;
+    this.isRunning = true;
+
+    queueManager.on('task_finished', this.onTaskFinished);
+
+    for (const task of [...queueManager.getAllTasks(), ...queueManager.getDeadLetters()]) {
+      const status = task.webhook?.status;
+      if (status === 'pending' || status === 'retrying') {
+        this.schedule(task.id, task.webhook.nextAttemptAt);
+      }
+    }
+
+    console.log('[Webhooks] Started');
+  }
+
+  stop() {
+    this.isRunning = false;
+    queueManager.off('task_finished', this.onTaskFinished);
+
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+  }
+
+  /**
+   * A task reached its final state - start a delivery if it asked for one
+   */
+  enqueue(task) {
+    if (!task.callbackUrl) return;
+
+    queueManager.updateWebhook(task.id, {
+      url: task.callbackUrl,
+      event: task.state === 'completed' ? 'task.completed' : 'task.failed',
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: Date.now(),
+      deliveredAt: null
+    });
+    this.schedule(task.id, Date.now());
+  }
+
+  schedule(taskId, at) {
+    clearTimeout(this.timers.get(taskId));
+
+    const timer = setTimeout(() => {
+      this.timers.delete(taskId);
+      this.deliver(taskId);
+    }, Math.max(0, (at || 0) - Date.now()));
+
+    this.timers.set(taskId, timer);
+  }
+
+  /**
+   * Make one delivery attempt and record how it went
+   */
+  async deliver(taskId) {
+    const task = queueManager.findTask(taskId);
+    // Evicted, purged or replayed since - nothing left to report on
+    if (!task?.webhook || task.webhook.status === 'delivered' || task.webhook.status === 'failed') return;
+
+    const webhook = task.webhook;
+    const { webhook: _delivery, ...taskPayload } = task;
+    const body = JSON.stringify({ event: webhook.event, sentAt: Date.now(), task: taskPayload });
+    const timestamp = Date.now();
+
+    const attempt = { number: webhook.attempts.length + 1, at: timestamp, duration: null, statusCode: null, error: null };
+    let refused = false;
+    try {
+      const response = await this.post(webhook.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'image-task-queue-webhooks',
+        'X-Webhook-Event': webhook.event,
+        'X-Webhook-Id': `${task.id}:${webhook.event}`,
+        'X-Webhook-Signature': sign(this.secret, timestamp, body)
+      }, body);
+      attempt.statusCode = response.status;
+      if (!response.ok) attempt.error = `HTTP ${response.status}`;
+    } catch (error) {
+      // A refused address won't change by trying again
+      refused = error.code === BLOCKED_ADDRESS;
+      attempt.error = error.code && !refused ? error.code : error.message;
+    }
+    attempt.duration = Date.now() - timestamp;
+
+    // The task may have been replayed from the DLQ while we waited for the receiver
+    if (queueManager.findTask(taskId)?.webhook !== webhook) return;
+
+    const attempts = [...webhook.attempts, attempt];
+    if (!attempt.error) {
+      queueManager.updateWebhook(taskId, { ...webhook, attempts, status: 'delivered', nextAttemptAt: null, deliveredAt: Date.now() });
+      console.log(`[Webhooks] ${taskId} ${webhook.event} delivered`);
+    } else if (attempts.length >= this.maxAttempts || refused) {
+      queueManager.updateWebhook(taskId, { ...webhook, attempts, status: 'failed', nextAttemptAt: null });
+      console.warn(`[Webhooks] ${taskId} delivery failed for good after ${attempts.length} attempts (${attempt.error})`);
+    } else {
+      const nextAttemptAt = Date.now() + this.backoff(attempts.length);
+      queueManager.updateWebhook(taskId, { ...webhook, attempts, status: 'retrying', nextAttemptAt });
+      console.warn(`[Webhooks] ${taskId} delivery attempt ${attempts.length} failed (${attempt.error}), retrying`);
+      this.schedule(taskId, nextAttemptAt);
+    }
+  }
+
+  /**
+   * Delay before the next attempt: exponential, capped, with ±25% jitter
+   * so a receiver coming back up isn't hit by every queued delivery at once
+   */
+  backoff(failedAttempts) {
+    const delay = Math.min(this.baseDelayMs * Math.pow(2, failedAttempts - 1), this.maxDelayMs);
+    return Math.floor(delay + delay * 0.25 * (Math.random() * 2 - 1));
+  }
+}
+
+// Singleton instance
+const webhookDispatcher = new WebhookDispatcher();
+
+webhookDispatcher.sign = sign;
+webhookDispatcher.isPrivateAddress = isPrivateAddress;
+
+module.exports = webhookDispatcher;
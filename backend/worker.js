@@ -2,27 +2,61 @@
  * Task Worker
  * 
  * The worker is the engine that processes tasks from the queue.
- * It runs continuously, picking up pending tasks and executing them.
+ * It reacts to queue events, starting pending tasks as soon as there's room.
  * 
  * KEY CONCEPTS:
- * - Continuous processing loop
- * - Concurrency management
+ * - Event-driven dispatch (no polling - idle means no timers at all)
+ * - Concurrency management (fill every free slot at once)
+ * - Precise retry timers (a 2s backoff waits 2s, not "2s plus the next tick")
+ * - Scheduled tasks (released into the queue at their runAt)
  * - Graceful error handling
  * - Retry coordination
+ * - Provider fallback (try a secondary provider before giving up on an attempt)
+ * - Circuit breaking (stop dispatching to a provider that is down)
+ * - Cancellation (an aborted task's request is abandoned mid-flight)
+ * - Local image storage (results are served by us, not hotlinked from the provider)
  * 
- * NOTE: Uses Pollinations.ai - completely FREE, no API key needed!
+ * NOTE: Defaults to Pollinations.ai - completely FREE, no API key needed!
  */
 
 const queueManager = require('./queue');
-const PollinationsClient = require('./pollinations');
+const providerRegistry = require('./providers');
+const CircuitBreaker = require('./circuitBreaker');
+const imageStore = require('./imageStore');
+const metrics = require('./metrics');
+
+// Longest delay setTimeout supports
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
 
 class Worker {
   constructor() {
-    // Pollinations is always available - no API key required!
-    this.pollinations = new PollinationsClient();
+    // Providers are looked up per task - see providers.js
+    this.providers = providerRegistry;
+
+    // One circuit breaker per provider, created on first use
+    this.breakers = new Map();
+    this.CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5;
+    this.CIRCUIT_COOLDOWN_MS = parseInt(process.env.CIRCUIT_COOLDOWN_MS, 10) || 30000;
+
     this.isRunning = false;
-    this.processingLoop = null;
-    this.retryLoop = null;
+
+    // A dispatch pass is queued for the next turn of the event loop
+    this.dispatchScheduled = false;
+
+    // taskId → timer that requeues the task at its nextRetryAt
+    this.retryTimers = new Map();
+
+    // taskId → timer that releases a scheduled task at its runAt
+    this.scheduledTimers = new Map();
+
+    // Wakes dispatch when an open circuit is due for its probe
+    this.probeTimer = null;
+    this.probeTimerAt = null;
+
+    // Queue event handlers, kept so stop() can remove them
+    this.onWorkAvailable = () => this.scheduleDispatch();
+    this.onRetryScheduled = (task) => this.scheduleRetry(task);
+    this.onTaskScheduled = (task) => this.scheduleRelease(task);
   }
 
   /**
@@ -30,85 +64,129 @@ class Worker {
    * No API key needed for Pollinations - it's free!
    */
   initialize() {
-    console.log('[Worker] Pollinations.ai client initialized (FREE - no API key needed)');
+    console.log(`[Worker] Providers available: ${this.providers.list().join(', ')} (default: ${this.providers.defaultProvider})`);
   }
 
   /**
-   * Start the worker loops
+   * Start reacting to queue events
    * 
-   * We have two loops:
-   * 1. Main processing loop - picks up pending tasks
-   * 2. Retry loop - checks for tasks ready to retry
+   * WHY EVENTS, NOT A POLLING LOOP: A loop that checks every 500ms and starts
+   * one task per tick needs 2.5s to fill 5 slots, and a 5s retry loop turns a
+   * 2s backoff into up to 7s. Polling also burns CPU when there's nothing to do.
+   * Instead the queue tells us the moment something changes:
+   * - 'work_available' (task submitted, slot freed, retry due) → dispatch
+   * - 'retry_scheduled' → one timer, set for exactly nextRetryAt
+   * - 'task_scheduled' → one timer, set for its runAt
    */
   start() {
     if (this.isRunning) return;
     this.isRunning = true;
 
-    console.log('[Worker] Started');
+    queueManager.on('work_available', this.onWorkAvailable);
+    queueManager.on('retry_scheduled', this.onRetryScheduled);
+    queueManager.on('task_scheduled', this.onTaskScheduled);
+
+    // Tasks restored from the store may already be waiting
+    for (const task of queueManager.getRetryingTasks()) {
+      this.scheduleRetry(task);
+    }
+    for (const task of queueManager.getScheduledTasks()) {
+      this.scheduleRelease(task);
+    }
+    this.scheduleDispatch();
 
-    // Main processing loop - runs every 500ms
-    this.processingLoop = setInterval(() => {
-      this.processNextTask();
-    }, 500);
-
-    // Retry loop - runs every 5 seconds
-    // WHY SEPARATE LOOP: Retry checking doesn't need to run as frequently.
-    // We check every 5 seconds to see if any retries are due.
-    this.retryLoop = setInterval(() => {
-      this.checkRetries();
-    }, 5000);
+    console.log('[Worker] Started');
   }
 
   /**
    * Stop the worker
+   * Tasks already processing run to completion; nothing new is started.
    */
   stop() {
     this.isRunning = false;
-    if (this.processingLoop) {
-      clearInterval(this.processingLoop);
-      this.processingLoop = null;
-    }
-    if (this.retryLoop) {
-      clearInterval(this.retryLoop);
-      this.retryLoop = null;
-    }
+
+    queueManager.off('work_available', this.onWorkAvailable);
+    queueManager.off('retry_scheduled', this.onRetryScheduled);
+    queueManager.off('task_scheduled', this.onTaskScheduled);
+
+    for (const timer of this.retryTimers.values()) clearTimeout(timer);
+    this.retryTimers.clear();
+    for (const timer of this.scheduledTimers.values()) clearTimeout(timer);
+    this.scheduledTimers.clear();
+    clearTimeout(this.probeTimer);
+    this.probeTimer = null;
+    this.probeTimerAt = null;
+
     console.log('[Worker] Stopped');
   }
 
   /**
-   * Try to process the next pending task
+   * Run a dispatch pass on the next turn of the event loop
    * 
-   * This is called every 500ms by the processing loop.
-   * It checks if we have capacity and a pending task to process.
+   * WHY DEFER: a batch of 50 submissions fires 50 events in one go. Deferring
+   * coalesces them into a single pass, and keeps dispatch from running in the
+   * middle of whatever queue operation emitted the event.
    */
-  async processNextTask() {
-    // Check if we have capacity
-    if (!queueManager.hasCapacity()) {
-      return; // All slots are busy
-    }
+  scheduleDispatch() {
+    if (!this.isRunning || this.dispatchScheduled) return;
+    this.dispatchScheduled = true;
+
+    setImmediate(() => {
+      this.dispatchScheduled = false;
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Start pending tasks until every concurrency slot is taken
+   * (nothing starts while the queue is paused or draining)
+   */
+  dispatch() {
+    while (this.isRunning && queueManager.isDispatching() && queueManager.hasCapacity()) {
+      const task = queueManager.getNextPendingTask();
+      if (!task) return; // Nothing waiting
+
+      // Hold the task in the queue while every provider it could use is tripped
+      // It stays pending, so waiting out an outage costs no retries.
+      // It's also first in line, so everything behind it waits too - priority order holds.
+      if (!this.canDispatch(task)) {
+        this.wakeForProbe(task);
+        return;
+      }
 
-    // Get next pending task
-    const task = queueManager.getNextPendingTask();
-    if (!task) {
-      return; // No pending tasks
+      this.processTask(task); // Not awaited - it runs alongside the others
     }
+  }
 
-    // Start processing
+  /**
+   * Process one task from start to finish
+   */
+  async processTask(task) {
     console.log(`[Task] Processing ${task.id}: "${task.prompt.substring(0, 50)}..."`);
     queueManager.startProcessing(task.id);
+    const signal = queueManager.getAbortSignal(task.id);
 
     try {
-      // Generate image using Pollinations (free!)
-      const result = await this.pollinations.generateImage(
-        task.prompt,
-        (progress) => queueManager.updateProgress(task.id, progress)
-      );
+      const generated = await this.generateWithFallback(task, signal);
+      const result = await this.storeImage(task, generated);
 
       // Success!
-      console.log(`[Task] ${task.id} completed successfully`);
+      console.log(`[Task] ${task.id} completed successfully via ${result.provider}`);
       queueManager.completeTask(task.id, result);
 
     } catch (error) {
+      // Cancelled - cancelTask already settled the task and freed its slot
+      if (signal.aborted) {
+        console.log(`[Task] ${task.id} request aborted`);
+        return;
+      }
+
+      // Every circuit closed on us between the check and the call - not a real attempt
+      if (error.code === 'CIRCUIT_OPEN') {
+        queueManager.releaseTask(task.id);
+        return;
+      }
+
       // Failure - let queue manager handle retry logic
       console.error(`[Task] ${task.id} failed:`, error.message);
       
@@ -118,18 +196,216 @@ class Worker {
   }
 
   /**
-   * Check for tasks ready to retry
+   * Run a task against its provider chain
+   * 
+   * WHY FALL BACK WITHIN AN ATTEMPT: If the primary provider is having a bad
+   * moment (429, 5xx, timeout), a healthy secondary can still deliver the image
+   * now instead of making the user sit through a backoff delay.
+   * 
+   * Permanent errors (e.g. 403 content policy) are NOT retried elsewhere - the
+   * prompt itself is the problem, and another provider won't change that.
    * 
-   * This runs every 5 seconds. It looks for tasks in 'retrying' state
-   * whose nextRetryAt has passed, and moves them back to pending.
+   * Once `signal` aborts, nothing more is tried and the breakers are left alone -
+   * a cancelled request tells us nothing about the provider.
    */
-  checkRetries() {
-    const tasksToRetry = queueManager.getTasksReadyForRetry();
+  async generateWithFallback(task, signal) {
+    const chain = this.providers.getChain(task);
+    if (chain.length === 0) {
+      const error = new Error(`Unknown provider "${task.provider}"`);
+      error.code = 'UNKNOWN_PROVIDER';
+      error.isRetryable = false;
+      throw error;
+    }
 
-    for (const task of tasksToRetry) {
-      console.log(`[Task] Requeuing ${task.id} for retry (attempt ${task.retryCount + 1})`);
-      queueManager.requeueForRetry(task.id);
+    let lastError;
+
+    for (const provider of chain) {
+      const breaker = this.getBreaker(provider.name);
+      if (!breaker.allowRequest()) continue; // Circuit open - try the next provider
+
+      try {
+        const result = await provider.generateImage(
+          task.prompt,
+          task.generationOptions || {},
+          (progress) => queueManager.updateProgress(task.id, progress),
+          signal
+        );
+
+        breaker.recordSuccess();
+        metrics.providerResponses.inc({ provider: provider.name, status: '200' });
+
+        // Record which provider actually produced the image
+        return { ...result, provider: provider.name };
+
+      } catch (error) {
+        if (signal?.aborted) {
+          breaker.abandonRequest();
+          throw error;
+        }
+
+        lastError = error;
+        error.provider = provider.name;
+        metrics.providerResponses.inc({
+          provider: provider.name,
+          status: error.statusCode ? String(error.statusCode) : (error.code || 'UNKNOWN')
+        });
+
+        const isRetryable = error.isRetryable !== undefined ? error.isRetryable : true;
+        if (!isRetryable) {
+          // The provider answered, it just said no - that's not an outage
+          breaker.recordSuccess();
+          break;
+        }
+        breaker.recordFailure();
+
+        if (provider !== chain[chain.length - 1]) {
+          console.warn(`[Task] ${task.id} failed on ${provider.name} (${error.code || error.message}), falling back`);
+        }
+      }
+    }
+
+    if (!lastError) {
+      const circuitError = new Error('All providers for this task have open circuits');
+      circuitError.code = 'CIRCUIT_OPEN';
+      circuitError.isRetryable = true;
+      throw circuitError;
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Save the generated bytes in the image store and point the result at our copy
+   * 
+   * The result keeps the provider's URL as `sourceUrl`, but `imageUrl` is
+   * always /images/:taskId - served from disk, so it keeps working after the
+   * provider's cache forgets the image.
+   */
+  async storeImage(task, result) {
+    const { image, ...rest } = result;
+    if (!image) return result;
+
+    let stored;
+    try {
+      stored = await imageStore.save(image.data, image.contentType);
+    } catch (error) {
+      // Disk problems (full, permissions) won't fix themselves on retry
+      const storeError = new Error(`Failed to store image: ${error.message}`);
+      storeError.code = 'IMAGE_STORE_FAILED';
+      storeError.isRetryable = false;
+      storeError.provider = result.provider;
+      throw storeError;
     }
+
+    return {
+      ...rest,
+      imageUrl: `/images/${task.id}`,
+      hash: stored.hash,
+      size: stored.size,
+      contentType: stored.contentType
+    };
+  }
+
+  /**
+   * Get (or create) the circuit breaker for a provider
+   */
+  getBreaker(providerName) {
+    if (!this.breakers.has(providerName)) {
+      const breaker = new CircuitBreaker(providerName, {
+        failureThreshold: this.CIRCUIT_FAILURE_THRESHOLD,
+        cooldownMs: this.CIRCUIT_COOLDOWN_MS,
+        onStateChange: (status) => queueManager.setCircuitState(status)
+      });
+      this.breakers.set(providerName, breaker);
+    }
+    return this.breakers.get(providerName);
+  }
+
+  /**
+   * Can at least one provider in this task's chain take a request right now?
+   */
+  canDispatch(task) {
+    const chain = this.providers.getChain(task);
+
+    // No known provider: dispatch anyway so the task fails with UNKNOWN_PROVIDER
+    // instead of blocking the head of the queue forever
+    if (chain.length === 0) return true;
+
+    return chain.some(provider => this.getBreaker(provider.name).isAvailable());
+  }
+
+  /**
+   * Requeue a retrying task exactly when its backoff delay ends
+   */
+  scheduleRetry(task) {
+    clearTimeout(this.retryTimers.get(task.id));
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(task.id);
+
+      // Cancelled (or otherwise moved on) while waiting - nothing to do
+      const current = queueManager.getTask(task.id);
+      if (!current || current.state !== 'retrying') return;
+
+      console.log(`[Task] Requeuing ${task.id} for retry (attempt ${current.retryCount + 1})`);
+      queueManager.requeueForRetry(task.id);
+    }, Math.max(0, task.nextRetryAt - Date.now()));
+
+    this.retryTimers.set(task.id, timer);
+  }
+
+  /**
+   * Put a scheduled task in line when its runAt arrives
+   * 
+   * setTimeout can't wait longer than ~24.8 days (2^31 - 1 ms) - longer
+   * delays fire at once - so far-off tasks re-arm in steps.
+   */
+  scheduleRelease(task) {
+    clearTimeout(this.scheduledTimers.get(task.id));
+
+    const delay = Math.max(0, task.runAt - Date.now());
+    const timer = setTimeout(() => {
+      this.scheduledTimers.delete(task.id);
+
+      // Cancelled while waiting - nothing to do
+      const current = queueManager.getTask(task.id);
+      if (!current || current.state !== 'scheduled') return;
+
+      if (current.runAt > Date.now()) {
+        this.scheduleRelease(current); // Not there yet (a long wait, re-armed)
+        return;
+      }
+
+      console.log(`[Task] Scheduled task ${task.id} is due`);
+      queueManager.releaseScheduled(task.id);
+    }, Math.min(delay, MAX_TIMER_DELAY));
+
+    this.scheduledTimers.set(task.id, timer);
+  }
+
+  /**
+   * The next task is blocked by open circuits - dispatch again when the
+   * soonest one is due for its probe
+   * 
+   * A half-open circuit has no such time: its probe is already in flight,
+   * and finishing it frees a slot, which triggers dispatch anyway.
+   */
+  wakeForProbe(task) {
+    const probeTimes = this.providers.getChain(task)
+      .map(provider => this.getBreaker(provider.name).getStatus().nextProbeAt)
+      .filter(Boolean);
+    if (probeTimes.length === 0) return;
+
+    const wakeAt = Math.min(...probeTimes);
+    if (this.probeTimer && this.probeTimerAt <= wakeAt) return; // An earlier wake-up is already set
+
+    clearTimeout(this.probeTimer);
+    this.probeTimerAt = wakeAt;
+    this.probeTimer = setTimeout(() => {
+      this.probeTimer = null;
+      this.probeTimerAt = null;
+      this.scheduleDispatch();
+    }, Math.max(0, wakeAt - Date.now()));
   }
 }
 
@@ -19,14 +19,25 @@
 const state = {
   tasks: [],
   stats: {
+    scheduled: 0,
     pending: 0,
     processing: 0,
     retrying: 0,
     completed: 0,
-    failed: 0
+    failed: 0,
+    cancelled: 0
   },
+  batches: {}, // batchId → summary from the server
+  circuits: {}, // provider → circuit breaker status
+  submitters: {}, // owner → share of the processing slots (only our own unless we're an admin)
+  deadLetters: [], // Permanently failed tasks (newest first)
+  openTimelines: new Set(), // Task ids whose attempt timeline is expanded (survives re-renders)
   isConnected: false,
-  eventSource: null
+  eventSource: null,
+  lastEventId: null, // id of the last SSE event handled - lets a reconnect resume
+  reconnectTimer: null,
+  rateLimit: null, // Our submission quota from GET /rate-limit, plus when it was read
+  apiKey: localStorage.getItem('apiKey') || '' // Sent with every request (see apiFetch)
 };
 
 // ============================================
@@ -36,16 +47,51 @@ const state = {
 const elements = {
   form: document.getElementById('submit-form'),
   promptInput: document.getElementById('prompt-input'),
+  priorityInput: document.getElementById('priority-input'),
+  options: {
+    width: document.getElementById('option-width'),
+    height: document.getElementById('option-height'),
+    model: document.getElementById('option-model'),
+    seed: document.getElementById('option-seed'),
+    negativePrompt: document.getElementById('option-negative-prompt')
+  },
+  runAtInput: document.getElementById('option-run-at'),
   submitBtn: document.getElementById('submit-btn'),
   formError: document.getElementById('form-error'),
+  rateLimitStatus: document.getElementById('rate-limit-status'),
   taskList: document.getElementById('task-list'),
+  dlq: {
+    list: document.getElementById('dlq-list'),
+    count: document.getElementById('dlq-count'),
+    replaySelected: document.getElementById('dlq-replay-selected'),
+    replayAll: document.getElementById('dlq-replay-all'),
+    purgeAll: document.getElementById('dlq-purge-all')
+  },
   connectionStatus: document.getElementById('connection-status'),
+  apiKeyForm: document.getElementById('api-key-form'),
+  apiKeyInput: document.getElementById('api-key-input'),
+  circuitBanner: document.getElementById('circuit-banner'),
   stats: {
+    scheduled: document.getElementById('stat-scheduled'),
     pending: document.getElementById('stat-pending'),
     processing: document.getElementById('stat-processing'),
     retrying: document.getElementById('stat-retrying'),
     completed: document.getElementById('stat-completed'),
-    failed: document.getElementById('stat-failed')
+    failed: document.getElementById('stat-failed'),
+    cancelled: document.getElementById('stat-cancelled')
+  },
+  concurrency: {
+    limit: document.getElementById('concurrency-limit'),
+    range: document.getElementById('concurrency-range'),
+    history: document.getElementById('concurrency-history')
+  },
+  submitterShares: document.getElementById('submitter-shares'),
+  dispatch: {
+    state: document.getElementById('dispatch-state'),
+    detail: document.getElementById('dispatch-detail'),
+    pause: document.getElementById('dispatch-pause'),
+    resume: document.getElementById('dispatch-resume'),
+    drain: document.getElementById('dispatch-drain')
   }
 };
 
@@ -70,8 +116,15 @@ function connectSSE() {
     state.eventSource.close();
   }
 
+  clearTimeout(state.reconnectTimer);
+
+  // A fresh EventSource doesn't know the last id we saw, so pass it along
+  const url = state.lastEventId
+    ? `/queue/stream?lastEventId=${encodeURIComponent(state.lastEventId)}`
+    : '/queue/stream';
+
   console.log('[SSE] Connecting...');
-  state.eventSource = new EventSource('/queue/stream');
+  state.eventSource = new EventSource(withApiKey(url));
 
   // Connection opened
   state.eventSource.onopen = () => {
@@ -84,37 +137,152 @@ function connectSSE() {
     console.error('[SSE] Error:', error);
     setConnected(false);
     
-    // EventSource will automatically reconnect
-    // We just need to update the UI
+    // EventSource reconnects by itself (sending Last-Event-ID), unless the
+    // server answered with an error - then it gives up and we retry by hand
+    if (state.eventSource.readyState === EventSource.CLOSED) {
+      state.reconnectTimer = setTimeout(connectSSE, 3000);
+      // EventSource doesn't say why - if it's our key, apiFetch asks for a new one
+      apiFetch('/stats').catch(() => {});
+    }
+  };
+
+  /**
+   * Register a handler that also remembers the event's id
+   * On reconnect the server replays everything after that id
+   */
+  const on = (type, handler) => {
+    state.eventSource.addEventListener(type, (event) => {
+      if (event.lastEventId) state.lastEventId = event.lastEventId;
+      handler(event);
+    });
   };
 
   // === Event Handlers ===
   
   /**
-   * Queue snapshot - full state on connect/reconnect
+   * Queue snapshot - full state on first connect
    * 
-   * WHY FULL SNAPSHOT: When the client (re)connects, it needs the complete
-   * current state, not just incremental updates since some unknown point.
+   * WHY FULL SNAPSHOT: A new client needs the complete current state. A client
+   * that reconnects gets only the events it missed - unless the server no
+   * longer has them all (or restarted), in which case it sends this again.
    */
-  state.eventSource.addEventListener('queue_snapshot', (event) => {
+  on('queue_snapshot', (event) => {
     const tasks = JSON.parse(event.data);
     state.tasks = tasks;
     renderTaskList();
     console.log(`[Queue] Received snapshot: ${tasks.length} tasks`);
   });
 
+  /**
+   * Batch snapshot - all batch summaries on connect/reconnect
+   */
+  on('batch_snapshot', (event) => {
+    const batches = JSON.parse(event.data);
+    state.batches = Object.fromEntries(batches.map(b => [b.id, b]));
+    renderTaskList();
+  });
+
+  /**
+   * Batch created or its aggregate progress changed
+   */
+  const onBatchUpdate = (event) => {
+    const batch = JSON.parse(event.data);
+    state.batches[batch.id] = batch;
+    renderTaskList();
+  };
+  on('batch_created', onBatchUpdate);
+  on('batch_progress', onBatchUpdate);
+
+  /**
+   * Batch removed (all of its tasks are gone)
+   */
+  on('batch_removed', (event) => {
+    const { id } = JSON.parse(event.data);
+    delete state.batches[id];
+    renderTaskList();
+  });
+
+  /**
+   * Circuit breaker status - all providers on connect, then each transition
+   */
+  on('circuit_snapshot', (event) => {
+    const circuits = JSON.parse(event.data);
+    state.circuits = Object.fromEntries(circuits.map(c => [c.provider, c]));
+    renderCircuitBanner();
+  });
+
+  on('circuit_state', (event) => {
+    const circuit = JSON.parse(event.data);
+    state.circuits[circuit.provider] = circuit;
+    renderCircuitBanner();
+    console.log(`[Circuit] ${circuit.provider}: ${circuit.state}`);
+  });
+
+  /**
+   * Dead-letter queue - full list on connect, then additions and removals
+   */
+  on('dlq_snapshot', (event) => {
+    state.deadLetters = JSON.parse(event.data);
+    renderDeadLetters();
+  });
+
+  on('task_dead_lettered', (event) => {
+    const task = JSON.parse(event.data);
+    state.deadLetters = [task, ...state.deadLetters.filter(t => t.id !== task.id)];
+    state.tasks = state.tasks.filter(t => t.id !== task.id);
+    renderDeadLetters();
+    renderTaskList();
+    console.log(`[DLQ] Dead-lettered: ${task.id} (${task.failureReason})`);
+  });
+
+  on('dlq_removed', (event) => {
+    const { id, reason } = JSON.parse(event.data);
+    state.deadLetters = state.deadLetters.filter(t => t.id !== id);
+    renderDeadLetters();
+    console.log(`[DLQ] Removed: ${id} (${reason})`);
+  });
+
   /**
    * Queue stats update
    */
-  state.eventSource.addEventListener('queue_stats', (event) => {
+  on('queue_stats', (event) => {
     state.stats = JSON.parse(event.data);
     renderStats();
   });
 
+  /**
+   * Dispatch paused, resumed or draining (also part of queue_stats)
+   */
+  on('dispatch_state', (event) => {
+    state.stats.dispatch = JSON.parse(event.data);
+    renderDispatch();
+    renderTaskList(); // Pending tasks say they're held
+  });
+
+  /**
+   * Each submitter's share of the processing slots - all on connect, then changes
+   * A share with nothing running or waiting means that submitter is done
+   */
+  on('submitter_snapshot', (event) => {
+    const shares = JSON.parse(event.data);
+    state.submitters = Object.fromEntries(shares.map(s => [s.owner, s]));
+    renderSubmitterShares();
+  });
+
+  on('submitter_share', (event) => {
+    const share = JSON.parse(event.data);
+    if (share.running === 0 && share.waiting === 0) {
+      delete state.submitters[share.owner];
+    } else {
+      state.submitters[share.owner] = share;
+    }
+    renderSubmitterShares();
+  });
+
   /**
    * New task submitted
    */
-  state.eventSource.addEventListener('task_submitted', (event) => {
+  on('task_submitted', (event) => {
     const task = JSON.parse(event.data);
     addOrUpdateTask(task);
     console.log(`[Task] Submitted: ${task.id}`);
@@ -123,7 +291,7 @@ function connectSSE() {
   /**
    * Task started processing
    */
-  state.eventSource.addEventListener('task_started', (event) => {
+  on('task_started', (event) => {
     const task = JSON.parse(event.data);
     addOrUpdateTask(task);
     console.log(`[Task] Started: ${task.id}`);
@@ -132,7 +300,7 @@ function connectSSE() {
   /**
    * Task progress update
    */
-  state.eventSource.addEventListener('task_progress', (event) => {
+  on('task_progress', (event) => {
     const { id, progress } = JSON.parse(event.data);
     updateTaskProgress(id, progress);
   });
@@ -140,7 +308,7 @@ function connectSSE() {
   /**
    * Task completed successfully
    */
-  state.eventSource.addEventListener('task_completed', (event) => {
+  on('task_completed', (event) => {
     const task = JSON.parse(event.data);
     addOrUpdateTask(task);
     console.log(`[Task] Completed: ${task.id}`);
@@ -149,7 +317,7 @@ function connectSSE() {
   /**
    * Task failed permanently
    */
-  state.eventSource.addEventListener('task_failed', (event) => {
+  on('task_failed', (event) => {
     const task = JSON.parse(event.data);
     addOrUpdateTask(task);
     console.log(`[Task] Failed: ${task.id}`);
@@ -158,7 +326,7 @@ function connectSSE() {
   /**
    * Retry scheduled
    */
-  state.eventSource.addEventListener('task_retry_scheduled', (event) => {
+  on('task_retry_scheduled', (event) => {
     const data = JSON.parse(event.data);
     const task = state.tasks.find(t => t.id === data.id);
     if (task) {
@@ -167,6 +335,9 @@ function connectSSE() {
       task.maxRetries = data.maxRetries;
       task.nextRetryAt = data.nextRetryAt;
       task.error = data.error;
+      task.retryPolicy = data.policy?.name;
+      task.retryDelaySource = data.delaySource;
+      task.attempts = data.attempts;
       renderTaskList();
     }
     console.log(`[Task] Retry scheduled: ${data.id} (attempt ${data.retryCount})`);
@@ -175,20 +346,72 @@ function connectSSE() {
   /**
    * Task requeued for retry
    */
-  state.eventSource.addEventListener('task_requeued', (event) => {
+  on('task_requeued', (event) => {
     const task = JSON.parse(event.data);
     addOrUpdateTask(task);
     console.log(`[Task] Requeued: ${task.id}`);
   });
 
   /**
-   * Task cancelled
+   * A scheduled task's run time arrived - it's now pending
    */
-  state.eventSource.addEventListener('task_cancelled', (event) => {
-    const { id } = JSON.parse(event.data);
-    state.tasks = state.tasks.filter(t => t.id !== id);
+  on('task_due', (event) => {
+    const task = JSON.parse(event.data);
+    addOrUpdateTask(task);
+    console.log(`[Task] Due: ${task.id}`);
+  });
+
+  /**
+   * Task cancelled (it stays in the list, in the 'cancelled' state)
+   */
+  on('task_cancelled', (event) => {
+    const task = JSON.parse(event.data);
+    addOrUpdateTask(task);
+    console.log(`[Task] Cancelled: ${task.id}`);
+  });
+
+  /**
+   * Estimated start times moved (the server only sends the ones that changed)
+   */
+  on('eta_updated', (event) => {
+    const { estimates } = JSON.parse(event.data);
+    for (const estimate of estimates) {
+      const task = state.tasks.find(t => t.id === estimate.id);
+      if (task) {
+        task.estimatedStartAt = estimate.estimatedStartAt;
+        task.estimatedWaitTime = estimate.estimatedWaitTime;
+      }
+    }
+    renderTaskList();
+  });
+
+  /**
+   * Webhook delivery status changed (the task may be live or dead-lettered)
+   */
+  on('task_webhook', (event) => {
+    const { id, webhook } = JSON.parse(event.data);
+    const task = state.tasks.find(t => t.id === id);
+    const deadLetter = state.deadLetters.find(t => t.id === id);
+    if (task) {
+      task.webhook = webhook;
+      renderTaskList();
+    }
+    if (deadLetter) {
+      deadLetter.webhook = webhook;
+      renderDeadLetters();
+    }
+  });
+
+  /**
+   * Finished tasks evicted by the server's retention policy
+   */
+  on('tasks_evicted', (event) => {
+    const { ids } = JSON.parse(event.data);
+    const evicted = new Set(ids);
+    state.tasks = state.tasks.filter(t => !evicted.has(t.id));
+    ids.forEach(id => state.openTimelines.delete(id));
     renderTaskList();
-    console.log(`[Task] Cancelled: ${id}`);
+    console.log(`[Task] Evicted ${ids.length} finished tasks`);
   });
 }
 
@@ -255,19 +478,82 @@ function updateTaskProgress(taskId, progress) {
 // ============================================
 
 /**
- * Submit a new task
+ * fetch() with the API key attached
+ * A 401 means the key is missing or wrong - highlight the key field
+ */
+async function apiFetch(url, options = {}) {
+  const headers = { ...options.headers };
+  if (state.apiKey) headers['Authorization'] = `Bearer ${state.apiKey}`;
+  
+  const response = await fetch(url, { ...options, headers });
+  elements.apiKeyForm.classList.toggle('needs-key', response.status === 401);
+  return response;
+}
+
+/**
+ * Add the API key to a URL the browser fetches by itself (EventSource, <img>),
+ * since those can't send an Authorization header
+ */
+function withApiKey(url) {
+  if (!state.apiKey) return url;
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}apiKey=${encodeURIComponent(state.apiKey)}`;
+}
+
+/**
+ * Switch to another API key - everything on screen belonged to the old one
  */
-async function submitTask(prompt) {
+function setApiKey(key) {
+  state.apiKey = key;
+  if (key) {
+    localStorage.setItem('apiKey', key);
+  } else {
+    localStorage.removeItem('apiKey');
+  }
+  
+  state.lastEventId = null; // The new key gets a fresh snapshot, not a replay
+  elements.apiKeyForm.classList.remove('needs-key');
+  connectSSE();
+  fetchRateLimit(); // Quotas are per key
+}
+
+/**
+ * Read our remaining submission quota from the server
+ */
+async function fetchRateLimit() {
+  try {
+    const response = await apiFetch('/rate-limit');
+    if (!response.ok) return;
+    state.rateLimit = { ...(await response.json()), fetchedAt: Date.now() };
+  } catch (error) {
+    state.rateLimit = null;
+  }
+  renderRateLimit();
+}
+
+/**
+ * Submit new tasks
+ * One prompt goes to POST /tasks; several go to POST /batches as one batch
+ * With a runAt (ISO string), they wait in the 'scheduled' state until then
+ */
+async function submitTask(prompts, priority, options, runAt) {
   elements.submitBtn.disabled = true;
   elements.formError.textContent = '';
   
+  const isBatch = prompts.length > 1;
+  const body = isBatch
+    ? { prompts, priority, options, runAt }
+    : { prompt: prompts[0], priority, options, runAt };
+  
   try {
-    const response = await fetch('/tasks', {
+    const headers = { 'Content-Type': 'application/json' };
+    // One key per submission - if this request is ever sent twice, the server creates one task
+    if (!isBatch) headers['Idempotency-Key'] = crypto.randomUUID();
+    
+    const response = await apiFetch(isBatch ? '/batches' : '/tasks', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ prompt })
+      headers,
+      body: JSON.stringify(body)
     });
     
     if (!response.ok) {
@@ -283,9 +569,111 @@ async function submitTask(prompt) {
   } finally {
     elements.submitBtn.disabled = false;
     elements.promptInput.focus();
+    fetchRateLimit();
+  }
+}
+
+/**
+ * Cancel a single task - aborts the request if it's already processing
+ */
+async function cancelTask(taskId) {
+  try {
+    const response = await apiFetch(`/tasks/${taskId}`, { method: 'DELETE' });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to cancel task');
+    }
+  } catch (error) {
+    elements.formError.textContent = error.message;
   }
 }
 
+/**
+ * Cancel every unfinished task in a batch
+ */
+async function cancelBatch(batchId) {
+  try {
+    const response = await apiFetch(`/batches/${batchId}`, { method: 'DELETE' });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to cancel batch');
+    }
+  } catch (error) {
+    elements.formError.textContent = error.message;
+  }
+}
+
+/**
+ * Replay dead-lettered tasks - specific ids, or everything when ids is null
+ */
+async function replayDeadLetters(ids) {
+  await dlqRequest('/dlq/replay', 'POST', ids ? { ids } : {});
+}
+
+/**
+ * Purge dead-lettered tasks - one id, or everything when id is null
+ */
+async function purgeDeadLetters(id) {
+  await dlqRequest(id ? `/dlq/${id}` : '/dlq', 'DELETE');
+}
+
+async function dlqRequest(url, method, body) {
+  try {
+    const response = await apiFetch(url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Dead-letter queue request failed');
+    }
+  } catch (error) {
+    elements.formError.textContent = error.message;
+  }
+}
+
+/**
+ * Pause, resume or drain the queue (admin only - anyone else gets a 403)
+ */
+async function setDispatch(action) {
+  try {
+    const response = await apiFetch(`/admin/${action}`, { method: 'POST' });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || `Failed to ${action} the queue`);
+    }
+    // The dispatch_state event updates the panel
+  } catch (error) {
+    elements.formError.textContent = error.message;
+  }
+}
+
+/**
+ * Read the advanced options panel
+ * Empty fields are left out so the server uses its defaults (and a random seed)
+ */
+function getGenerationOptions() {
+  const options = {};
+  const { width, height, model, seed, negativePrompt } = elements.options;
+  
+  if (width.value) options.width = Number(width.value);
+  if (height.value) options.height = Number(height.value);
+  if (model.value.trim()) options.model = model.value.trim();
+  if (seed.value) options.seed = Number(seed.value);
+  if (negativePrompt.value.trim()) options.negativePrompt = negativePrompt.value.trim();
+  
+  return options;
+}
+
+/**
+ * Read the "Run at" field - a local date and time, sent as ISO (undefined = run now)
+ */
+function getRunAt() {
+  const value = elements.runAtInput.value;
+  return value ? new Date(value).toISOString() : undefined;
+}
+
 // ============================================
 // Rendering
 // ============================================
@@ -294,11 +682,190 @@ async function submitTask(prompt) {
  * Render queue statistics
  */
 function renderStats() {
+  elements.stats.scheduled.textContent = state.stats.scheduled || 0;
   elements.stats.pending.textContent = state.stats.pending || 0;
   elements.stats.processing.textContent = state.stats.processing || 0;
   elements.stats.retrying.textContent = state.stats.retrying || 0;
   elements.stats.completed.textContent = state.stats.completed || 0;
   elements.stats.failed.textContent = state.stats.failed || 0;
+  elements.stats.cancelled.textContent = state.stats.cancelled || 0;
+  renderConcurrency(state.stats.concurrency);
+  renderDispatch();
+}
+
+/**
+ * Render the dispatch state and the buttons that make sense from it
+ */
+function renderDispatch() {
+  const dispatch = state.stats.dispatch;
+  if (!dispatch) return;
+  
+  const labels = { running: 'Running', paused: 'Paused', draining: 'Draining' };
+  elements.dispatch.state.textContent = labels[dispatch.state] || dispatch.state;
+  elements.dispatch.state.className = `dispatch-state ${dispatch.state}`;
+  
+  const since = new Date(dispatch.changedAt).toLocaleTimeString();
+  if (dispatch.state === 'paused') {
+    elements.dispatch.detail.textContent = `since ${since} · ${dispatch.inFlight} still processing · new tasks wait in line`;
+  } else if (dispatch.state === 'draining') {
+    elements.dispatch.detail.textContent = dispatch.drainedAt
+      ? 'drained - nothing processing, new tasks rejected'
+      : `since ${since} · ${dispatch.inFlight} finishing · new tasks rejected`;
+  } else {
+    elements.dispatch.detail.textContent = '';
+  }
+  
+  elements.dispatch.pause.classList.toggle('hidden', dispatch.state !== 'running');
+  elements.dispatch.resume.classList.toggle('hidden', dispatch.state === 'running');
+  elements.dispatch.drain.classList.toggle('hidden', dispatch.state === 'draining');
+}
+
+/**
+ * Render the adaptive concurrency limit and a step chart of its history
+ */
+function renderConcurrency(concurrency) {
+  if (!concurrency) return;
+  
+  const { limit, floor, ceiling, history } = concurrency;
+  elements.concurrency.limit.textContent = `${state.stats.processing || 0} / ${limit}`;
+  elements.concurrency.range.textContent = `range ${floor}–${ceiling}`;
+  
+  // Step chart: x = time (oldest change → now), y = limit (floor at bottom, ceiling at top)
+  const width = 200;
+  const height = 40;
+  const points = [...history, { at: Date.now(), limit }];
+  const start = points[0].at;
+  const span = Math.max(1, points[points.length - 1].at - start);
+  const toX = at => ((at - start) / span) * width;
+  const toY = value => height - ((value - floor) / Math.max(1, ceiling - floor)) * (height - 4) - 2;
+  
+  let path = `M 0 ${toY(points[0].limit)}`;
+  for (let i = 1; i < points.length; i++) {
+    path += ` H ${toX(points[i].at)} V ${toY(points[i].limit)}`;
+  }
+  
+  elements.concurrency.history.innerHTML = `<path d="${path}" class="concurrency-line"></path>`;
+}
+
+/**
+ * Render how the processing slots are split between submitters
+ * Each bar is the share of slots in use now; the marker is the fair share
+ * the scheduling policy aims for while everyone has work waiting.
+ */
+function renderSubmitterShares() {
+  const shares = Object.values(state.submitters)
+    .sort((a, b) => b.running - a.running || b.waiting - a.waiting);
+  
+  elements.submitterShares.classList.toggle('hidden', shares.length === 0);
+  if (shares.length === 0) {
+    elements.submitterShares.innerHTML = '';
+    return;
+  }
+  
+  const policy = state.stats.scheduling?.policy || 'weighted';
+  const percent = value => `${Math.round(value * 100)}%`;
+  
+  elements.submitterShares.innerHTML = `
+    <div class="stat-label">Slots by submitter <span class="submitter-policy">(${escapeHtml(policy)} scheduling)</span></div>
+    ${shares.map(share => `
+      <div class="submitter-row">
+        <span class="submitter-name"></span>
+        <div class="submitter-bar">
+          <div class="submitter-fill" style="width: ${percent(Math.min(1, share.slotShare))}"></div>
+          ${share.fairShare !== null ? `<div class="submitter-fair" style="left: ${percent(share.fairShare)}" title="Fair share ${percent(share.fairShare)}"></div>` : ''}
+        </div>
+        <span class="submitter-counts">
+          ${share.running} running · ${share.waiting} waiting · ${percent(share.slotShare)} of slots${policy === 'weighted' ? ` · weight ${share.weight}` : ''}
+        </span>
+      </div>
+    `).join('')}
+  `;
+  
+  // Owner names are set as properties, never parsed as HTML - no escaping to get wrong
+  elements.submitterShares.querySelectorAll('.submitter-name').forEach((name, index) => {
+    name.textContent = shares[index].owner ?? 'unowned';
+    name.title = name.textContent;
+  });
+}
+
+/**
+ * Render the circuit breaker banner
+ * Only providers whose circuit is open or half-open are shown
+ */
+function renderCircuitBanner() {
+  const tripped = Object.values(state.circuits).filter(c => c.state !== 'closed');
+  
+  if (tripped.length === 0) {
+    elements.circuitBanner.classList.add('hidden');
+    elements.circuitBanner.innerHTML = '';
+    return;
+  }
+  
+  elements.circuitBanner.classList.remove('hidden');
+  elements.circuitBanner.innerHTML = tripped.map(circuit => {
+    const name = escapeHtml(circuit.provider);
+    if (circuit.state === 'open') {
+      const probeIn = formatDuration(circuit.nextProbeAt - Date.now());
+      return `<div class="circuit-line open"><strong>${name}</strong> circuit OPEN after ${circuit.consecutiveFailures} failures - tasks are held in the queue. Next probe in ~${probeIn}</div>`;
+    }
+    return `<div class="circuit-line half_open"><strong>${name}</strong> circuit HALF-OPEN - sending a probe request</div>`;
+  }).join('');
+}
+
+/**
+ * Render the dead-letter queue panel
+ */
+function renderDeadLetters() {
+  // Keep checkbox selections across re-renders
+  const selected = new Set(
+    [...elements.dlq.list.querySelectorAll('.dlq-select:checked')].map(el => el.value)
+  );
+  
+  elements.dlq.count.textContent = state.deadLetters.length;
+  
+  if (state.deadLetters.length === 0) {
+    elements.dlq.list.innerHTML = `
+      <div class="empty-state">
+        <p>No failed tasks. Tasks that run out of retries land here.</p>
+      </div>
+    `;
+    return;
+  }
+  
+  elements.dlq.list.innerHTML = state.deadLetters.map(task => {
+    const reason = task.failureReason === 'permanent_error' ? 'Permanent error' : 'Retries exhausted';
+    const failures = (task.attempts || []).filter(attempt => attempt.error);
+    const history = failures.map(attempt => `
+      <li>
+        <span class="dlq-history-attempt">#${attempt.number}</span>
+        <span class="dlq-history-code">${escapeHtml(attempt.error.code)}</span>
+        ${escapeHtml(attempt.error.message)}
+        ${attempt.provider ? `<span class="dlq-history-provider">(${escapeHtml(attempt.provider)})</span>` : ''}
+      </li>
+    `).join('');
+    
+    return `
+      <div class="dlq-item">
+        <label class="dlq-item-header">
+          <input type="checkbox" class="dlq-select" value="${task.id}" ${selected.has(task.id) ? 'checked' : ''}>
+          <span class="task-id">${task.id}</span>
+          <span class="dlq-reason">${reason}</span>
+          ${task.replayCount ? `<span class="dlq-replays">replayed ${task.replayCount}×</span>` : ''}
+        </label>
+        <div class="task-prompt">"${escapeHtml(task.prompt)}"</div>
+        <div class="error-info">${escapeHtml(task.error?.message || 'Unknown error')}</div>
+        ${renderWebhookStatus(task)}
+        <details class="dlq-history">
+          <summary>Error history (${failures.length})</summary>
+          <ol>${history}</ol>
+        </details>
+        <div class="dlq-item-actions">
+          <button type="button" data-dlq-action="replay" data-task-id="${task.id}">Replay</button>
+          <button type="button" data-dlq-action="purge" data-task-id="${task.id}" class="danger">Purge</button>
+        </div>
+      </div>
+    `;
+  }).join('');
 }
 
 /**
@@ -314,23 +881,97 @@ function renderTaskList() {
     return;
   }
   
-  // Sort tasks: processing first, then pending, then retrying, then completed/failed
+  const positions = getQueuePositions();
+  
+  // Sort tasks: processing first, then pending, retrying, scheduled, then completed/failed/cancelled
   const sortedTasks = [...state.tasks].sort((a, b) => {
-    const order = { processing: 0, pending: 1, retrying: 2, completed: 3, failed: 4 };
-    const orderDiff = (order[a.state] ?? 5) - (order[b.state] ?? 5);
+    const order = { processing: 0, pending: 1, retrying: 2, scheduled: 3, completed: 4, failed: 5, cancelled: 6 };
+    const orderDiff = (order[a.state] ?? 7) - (order[b.state] ?? 7);
     if (orderDiff !== 0) return orderDiff;
+    if (a.state === 'pending') return positions.get(a.id) - positions.get(b.id); // Run order
+    if (a.state === 'scheduled') return a.runAt - b.runAt; // Soonest first
     return b.createdAt - a.createdAt; // Newest first within same state
   });
   
-  elements.taskList.innerHTML = sortedTasks.map(renderTaskCard).join('');
+  // Batched tasks are grouped together, placed where the batch's first task sorts
+  const html = [];
+  const renderedBatches = new Set();
+  
+  for (const task of sortedTasks) {
+    if (!task.batchId) {
+      html.push(renderTaskCard(task, positions));
+      continue;
+    }
+    
+    if (renderedBatches.has(task.batchId)) continue;
+    renderedBatches.add(task.batchId);
+    
+    const batchTasks = sortedTasks.filter(t => t.batchId === task.batchId);
+    html.push(renderBatchGroup(task.batchId, batchTasks, positions));
+  }
+  
+  elements.taskList.innerHTML = html.join('');
+}
+
+/**
+ * Render a batch: aggregate header plus its task cards
+ */
+function renderBatchGroup(batchId, tasks, positions) {
+  const batch = state.batches[batchId];
+  const total = batch?.total ?? tasks.length;
+  const counts = batch?.counts || {};
+  const progress = batch?.progress ?? 0;
+  const finished = (counts.completed || 0) + (counts.failed || 0) + (counts.cancelled || 0);
+  const canCancel = tasks.some(t => isCancellable(t));
+  
+  return `
+    <div class="batch-group" data-batch-id="${batchId}">
+      <div class="batch-header">
+        <span class="batch-title">Batch</span>
+        <span class="task-id">${batchId}</span>
+        <span class="batch-counts">${finished}/${total} done${counts.failed ? ` · ${counts.failed} failed` : ''}${counts.cancelled ? ` · ${counts.cancelled} cancelled` : ''}</span>
+        ${canCancel ? `<button type="button" class="batch-cancel" data-batch-id="${batchId}">Cancel batch</button>` : ''}
+      </div>
+      <div class="progress-bar">
+        <div class="progress-fill" style="width: ${progress}%"></div>
+      </div>
+      <div class="batch-tasks">
+        ${tasks.map(task => renderTaskCard(task, positions)).join('')}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Work out each pending task's place in line (1 = next to run)
+ * 
+ * The server takes turns between submitters (fair scheduling), so the score
+ * alone doesn't give the run order - its estimated start times do. The score
+ * (priority plus aging) breaks ties.
+ */
+function getQueuePositions() {
+  const pending = state.tasks
+    .filter(t => t.state === 'pending')
+    .sort((a, b) => ((a.estimatedStartAt || 0) - (b.estimatedStartAt || 0)) ||
+      (a.priorityScore - b.priorityScore) || (a.createdAt - b.createdAt));
+  
+  return new Map(pending.map((task, index) => [task.id, index + 1]));
+}
+
+/**
+ * Can this task still be cancelled? (anything that hasn't finished)
+ */
+function isCancellable(task) {
+  return ['scheduled', 'pending', 'processing', 'retrying'].includes(task.state);
 }
 
 /**
  * Render a single task card
  */
-function renderTaskCard(task) {
+function renderTaskCard(task, positions) {
   const statusClass = task.state;
   const statusText = task.state.charAt(0).toUpperCase() + task.state.slice(1);
+  const priority = task.priority || 'normal';
   
   let metaHtml = '';
   let progressHtml = '';
@@ -340,9 +981,21 @@ function renderTaskCard(task) {
   
   // Add meta info based on state
   switch (task.state) {
+    case 'scheduled':
+      metaHtml = `<div class="task-meta">Scheduled for ${new Date(task.runAt).toLocaleString()} · in ~${formatDuration(task.runAt - Date.now())}</div>`;
+      break;
+      
     case 'pending':
-      const waitTime = formatDuration(task.estimatedWaitTime || 0);
-      metaHtml = `<div class="task-meta">Estimated wait: ~${waitTime}</div>`;
+      // Count down to the server's estimated start time
+      const wait = task.estimatedStartAt
+        ? task.estimatedStartAt - Date.now()
+        : task.estimatedWaitTime || 0;
+      const held = state.stats.dispatch && state.stats.dispatch.state !== 'running';
+      const waitText = held
+        ? 'Held - dispatch is paused'
+        : wait > 1000 ? `Estimated wait: ~${formatDuration(wait)}` : 'Starting soon';
+      const position = positions.get(task.id);
+      metaHtml = `<div class="task-meta">#${position} in queue · ${waitText}</div>`;
       break;
       
     case 'processing':
@@ -365,6 +1018,7 @@ function renderTaskCard(task) {
       retryHtml = `
         <div class="retry-info">
           Retry ${task.retryCount}/${task.maxRetries} in ~${nextRetry}
+          ${task.retryPolicy ? `<span class="retry-policy">(${escapeHtml(task.retryPolicy)} policy${task.retryDelaySource === 'retry-after' ? ' · server Retry-After' : ''})</span>` : ''}
           ${task.error ? `<br>Last error: ${task.error.message}` : ''}
         </div>
       `;
@@ -374,18 +1028,37 @@ function renderTaskCard(task) {
       const processingTime = task.result?.processingTime 
         ? formatDuration(task.result.processingTime) 
         : formatDuration(task.completedAt - task.startedAt);
-      metaHtml = `<div class="task-meta">Completed in ${processingTime}</div>`;
+      const providerText = task.result?.provider ? ` via ${escapeHtml(task.result.provider)}` : '';
+      const sizeText = task.result?.size ? ` · ${formatBytes(task.result.size)}` : '';
+      metaHtml = task.result?.cacheHit
+        ? `<div class="task-meta"><span class="cache-hit">Cached</span> result of ${escapeHtml(task.result.cachedFrom)}${providerText}${sizeText}</div>`
+        : `<div class="task-meta">Completed in ${processingTime}${providerText}${sizeText}</div>`;
+      
+      // Everything needed to regenerate this exact image
+      const params = task.result?.parameters;
+      if (params) {
+        metaHtml += `
+          <div class="task-meta task-params">
+            ${params.width}×${params.height} · ${escapeHtml(params.model)} · seed ${params.seed}
+            ${params.negativePrompt ? ` · not: ${escapeHtml(params.negativePrompt)}` : ''}
+          </div>
+        `;
+      }
       
       if (task.result?.imageUrl) {
         resultHtml = `
           <div class="task-result">
-            <img src="${task.result.imageUrl}" alt="Generated image" class="result-image" loading="lazy">
-            <a href="${task.result.imageUrl}" target="_blank" class="result-link">Open full image ↗</a>
+            <img src="${withApiKey(task.result.imageUrl)}" alt="Generated image" class="result-image" loading="lazy">
+            <a href="${withApiKey(task.result.imageUrl)}" target="_blank" class="result-link">Open full image ↗</a>
           </div>
         `;
       }
       break;
       
+    case 'cancelled':
+      metaHtml = `<div class="task-meta">Cancelled${task.completedAt ? ` at ${new Date(task.completedAt).toLocaleTimeString()}` : ''}</div>`;
+      break;
+      
     case 'failed':
       errorHtml = `
         <div class="error-info">
@@ -400,18 +1073,89 @@ function renderTaskCard(task) {
     <div class="task-card ${statusClass}" data-task-id="${task.id}">
       <div class="task-header">
         <span class="task-status ${statusClass}">${statusText}</span>
+        <span class="task-priority ${priority}">${priority}</span>
         <span class="task-id">${task.id}</span>
+        ${isCancellable(task) ? `<button type="button" class="task-cancel" data-task-id="${task.id}">Cancel</button>` : ''}
       </div>
       <div class="task-prompt">"${escapeHtml(task.prompt)}"</div>
       ${metaHtml}
       ${progressHtml}
       ${retryHtml}
       ${errorHtml}
+      ${renderWebhookStatus(task)}
       ${resultHtml}
+      ${renderAttemptTimeline(task)}
     </div>
   `;
 }
 
+/**
+ * One line on where the task's webhook delivery stands (nothing if it has no callbackUrl)
+ */
+function renderWebhookStatus(task) {
+  const webhook = task.webhook;
+  if (!webhook) return '';
+  
+  const last = webhook.attempts[webhook.attempts.length - 1];
+  const tries = webhook.attempts.length === 1 ? '1 attempt' : `${webhook.attempts.length} attempts`;
+  let text;
+  switch (webhook.status) {
+    case 'delivered':
+      text = `delivered${webhook.attempts.length > 1 ? ` after ${tries}` : ''}`;
+      break;
+    case 'retrying':
+      text = `${escapeHtml(last?.error || 'failed')} · retry in ~${formatDuration(Math.max(0, webhook.nextAttemptAt - Date.now()))}`;
+      break;
+    case 'failed':
+      text = `gave up after ${tries} (${escapeHtml(last?.error || 'failed')})`;
+      break;
+    default:
+      text = 'sending…';
+  }
+  
+  return `<div class="task-meta webhook-status ${webhook.status}" title="${escapeHtml(webhook.url)}">Webhook: ${text}</div>`;
+}
+
+/**
+ * Render a task's attempts as a collapsible timeline
+ * Hidden until there's something to compare - i.e. more than one attempt, or a failure
+ */
+function renderAttemptTimeline(task) {
+  const attempts = task.attempts || [];
+  if (attempts.length === 0 || (attempts.length === 1 && !attempts[0].error)) return '';
+  
+  const items = attempts.map(attempt => {
+    const duration = attempt.duration !== null
+      ? formatDuration(attempt.duration)
+      : attempt.outcome === 'running' ? `${formatDuration(Date.now() - attempt.startedAt)} so far` : '';
+    const started = attempt.startedAt ? new Date(attempt.startedAt).toLocaleTimeString() : '';
+    const backoff = attempt.backoffDelay !== undefined
+      ? `<div class="attempt-backoff">↻ backoff ${formatDuration(attempt.backoffDelay)} before next attempt${attempt.delaySource === 'retry-after' ? ' (server Retry-After)' : ''}</div>`
+      : '';
+    
+    return `
+      <li class="attempt ${attempt.outcome}">
+        <div class="attempt-line">
+          <span class="attempt-number">#${attempt.number}</span>
+          <span class="attempt-outcome">${attempt.outcome}</span>
+          ${attempt.provider ? `<span class="attempt-provider">${escapeHtml(attempt.provider)}</span>` : ''}
+          <span class="attempt-time">${started}${duration ? ` · ${duration}` : ''}</span>
+        </div>
+        ${attempt.error ? `<div class="attempt-error"><code>${escapeHtml(attempt.error.code)}</code> ${escapeHtml(attempt.error.message)}</div>` : ''}
+        ${backoff}
+      </li>
+    `;
+  }).join('');
+  
+  const open = state.openTimelines.has(task.id) ? 'open' : '';
+  return `
+    <details class="attempt-timeline" data-task-id="${task.id}" ${open}>
+      <summary>Attempts (${attempts.length})</summary>
+      <ol>${items}</ol>
+    </details>
+  `;
+}
+
 // ============================================
 // Utilities
 // ============================================
@@ -433,13 +1177,23 @@ function formatDuration(ms) {
   return `${seconds}s`;
 }
 
+/**
+ * Format a byte count as B / KB / MB
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 /**
  * Escape HTML to prevent XSS
  */
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  // innerHTML escapes <, > and & but not quotes - needed inside attribute values
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 // ============================================
@@ -447,15 +1201,41 @@ function escapeHtml(text) {
 // ============================================
 
 /**
- * Update countdown timers for retrying tasks
- * Runs every second to keep "retry in X seconds" accurate
+ * Show the remaining quota under the submit form
+ * Between fetches, count tokens back in at the refill rate - the same
+ * arithmetic the server's token bucket does.
+ */
+function renderRateLimit() {
+  const quota = state.rateLimit;
+  if (!quota?.limited) {
+    elements.rateLimitStatus.textContent = '';
+    return;
+  }
+  
+  const refilled = (Date.now() - quota.fetchedAt) * quota.perMinute / 60000;
+  const remaining = Math.min(quota.limit, Math.floor(quota.remaining + refilled));
+  
+  elements.rateLimitStatus.classList.toggle('exhausted', remaining === 0);
+  elements.rateLimitStatus.textContent =
+    `${remaining} of ${quota.limit} submissions left · refills at ${quota.perMinute}/min`;
+}
+
+/**
+ * Update countdown timers for retrying, pending and scheduled tasks
+ * Runs every second to keep "retry in X seconds" and "estimated wait" accurate
  */
 function startRetryCountdownUpdater() {
   setInterval(() => {
-    const retryingTasks = state.tasks.filter(t => t.state === 'retrying');
-    if (retryingTasks.length > 0) {
+    const waitingTasks = state.tasks.filter(t => ['retrying', 'pending', 'scheduled'].includes(t.state));
+    if (waitingTasks.length > 0) {
       renderTaskList(); // Re-render to update countdown
     }
+    if (Object.values(state.circuits).some(c => c.state === 'open')) {
+      renderCircuitBanner(); // Keep the "next probe in" countdown current
+    }
+    if (state.rateLimit?.limited) {
+      renderRateLimit(); // Quota refilling
+    }
   }, 1000);
 }
 
@@ -465,17 +1245,97 @@ function startRetryCountdownUpdater() {
 
 function init() {
   // Connect to SSE
+  elements.apiKeyInput.value = state.apiKey;
   connectSSE();
+  fetchRateLimit();
+  
+  // API key - stored in this browser and used from now on
+  elements.apiKeyForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    setApiKey(elements.apiKeyInput.value.trim());
+  });
   
   // Form submission
   elements.form.addEventListener('submit', (e) => {
     e.preventDefault();
-    const prompt = elements.promptInput.value.trim();
-    if (prompt) {
-      submitTask(prompt);
+    // One prompt per line - more than one line submits a batch
+    const prompts = elements.promptInput.value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+    if (prompts.length > 0) {
+      submitTask(prompts, elements.priorityInput.value, getGenerationOptions(), getRunAt());
     }
   });
   
+  // Enter submits, Shift+Enter adds another prompt line
+  elements.promptInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      elements.form.requestSubmit();
+    }
+  });
+  
+  // Task and batch cancel buttons (delegated - the task list is re-rendered often)
+  elements.taskList.addEventListener('click', (e) => {
+    const taskButton = e.target.closest('.task-cancel');
+    if (taskButton) {
+      taskButton.disabled = true;
+      cancelTask(taskButton.dataset.taskId);
+      return;
+    }
+    
+    const button = e.target.closest('.batch-cancel');
+    if (button) {
+      button.disabled = true;
+      cancelBatch(button.dataset.batchId);
+    }
+  });
+  
+  // Remember which attempt timelines are open - 'toggle' doesn't bubble, so capture it
+  elements.taskList.addEventListener('toggle', (e) => {
+    const timeline = e.target.closest?.('.attempt-timeline');
+    if (!timeline) return;
+    if (timeline.open) {
+      state.openTimelines.add(timeline.dataset.taskId);
+    } else {
+      state.openTimelines.delete(timeline.dataset.taskId);
+    }
+  }, true);
+  
+  // Dead-letter queue controls
+  elements.dlq.replaySelected.addEventListener('click', () => {
+    const ids = [...elements.dlq.list.querySelectorAll('.dlq-select:checked')].map(el => el.value);
+    if (ids.length > 0) replayDeadLetters(ids);
+  });
+  elements.dlq.replayAll.addEventListener('click', () => replayDeadLetters(null));
+  elements.dlq.purgeAll.addEventListener('click', () => {
+    if (confirm('Permanently delete every task in the dead-letter queue?')) {
+      purgeDeadLetters(null);
+    }
+  });
+  elements.dlq.list.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-dlq-action]');
+    if (!button) return;
+    button.disabled = true;
+    if (button.dataset.dlqAction === 'replay') {
+      replayDeadLetters([button.dataset.taskId]);
+    } else {
+      purgeDeadLetters(button.dataset.taskId);
+    }
+  });
+  
+  // Dispatch controls
+  for (const button of [elements.dispatch.pause, elements.dispatch.resume, elements.dispatch.drain]) {
+    button.addEventListener('click', () => {
+      const action = button.dataset.dispatchAction;
+      if (action === 'drain' && !confirm('Drain the queue? In-flight tasks finish, nothing new starts, and new submissions are rejected until you resume.')) {
+        return;
+      }
+      setDispatch(action);
+    });
+  }
+  
   // Start retry countdown updater
   startRetryCountdownUpdater();
   
@@ -0,0 +1,80 @@
+/**
+ * Circuit breaker: opens after repeated failures, then lets one probe through
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('timers/promises');
+const CircuitBreaker = require('../backend/circuitBreaker');
+
+const { CLOSED, OPEN, HALF_OPEN } = CircuitBreaker.STATES;
+
+/**
+ * A breaker that has just opened
+ */
+function tripped(transitions = []) {
+  const breaker = new CircuitBreaker('simulated', {
+    failureThreshold: 3,
+    cooldownMs: 20,
+    onStateChange: status => transitions.push(status.state)
+  });
+  for (let i = 0; i < 3; i++) breaker.recordFailure();
+  return breaker;
+}
+
+test('opens after failureThreshold consecutive failures, not before', () => {
+  const breaker = new CircuitBreaker('simulated', { failureThreshold: 3 });
+
+  breaker.recordFailure();
+  breaker.recordFailure();
+  breaker.recordSuccess(); // The streak starts over
+  breaker.recordFailure();
+  breaker.recordFailure();
+  assert.strictEqual(breaker.state, CLOSED);
+
+  breaker.recordFailure();
+  assert.strictEqual(breaker.state, OPEN);
+  assert.strictEqual(breaker.allowRequest(), false);
+  assert.strictEqual(breaker.isAvailable(), false);
+  assert.strictEqual(breaker.getStatus().nextProbeAt, breaker.openedAt + breaker.cooldownMs);
+});
+
+test('after the cooldown exactly one probe goes through, and its success closes the circuit', async () => {
+  const transitions = [];
+  const breaker = tripped(transitions);
+  await sleep(30);
+
+  assert.strictEqual(breaker.isAvailable(), true);
+  assert.strictEqual(breaker.allowRequest(), true);
+  assert.strictEqual(breaker.state, HALF_OPEN);
+  assert.strictEqual(breaker.allowRequest(), false, 'only one probe at a time');
+  assert.strictEqual(breaker.isAvailable(), false);
+
+  breaker.recordSuccess();
+  assert.strictEqual(breaker.state, CLOSED);
+  assert.strictEqual(breaker.allowRequest(), true);
+  assert.deepStrictEqual(transitions, [OPEN, HALF_OPEN, CLOSED]);
+});
+
+test('a failed probe reopens the circuit for another full cooldown', async () => {
+  const breaker = tripped();
+  await sleep(30);
+
+  assert.strictEqual(breaker.allowRequest(), true);
+  breaker.recordFailure();
+
+  assert.strictEqual(breaker.state, OPEN);
+  assert.strictEqual(breaker.allowRequest(), false);
+  assert.ok(breaker.openedAt + breaker.cooldownMs > Date.now());
+});
+
+test('an abandoned probe frees the slot without deciding anything', async () => {
+  const breaker = tripped();
+  await sleep(30);
+
+  assert.strictEqual(breaker.allowRequest(), true);
+  breaker.abandonRequest();
+
+  assert.strictEqual(breaker.state, HALF_OPEN);
+  assert.strictEqual(breaker.allowRequest(), true, 'the next request becomes the probe');
+});
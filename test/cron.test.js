@@ -0,0 +1,46 @@
+/**
+ * Cron expressions: parsing and next run times
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// Next-run times are in local time - pin the zone so the dates below are stable
+process.env.TZ = 'UTC';
+
+const CronExpression = require('../backend/cron');
+
+const at = (iso) => new Date(iso).getTime();
+const next = (expression, after) => new Date(new CronExpression(expression).next(at(after))).toISOString();
+
+test('finds the next matching minute', () => {
+  assert.strictEqual(next('0 2 * * *', '2025-01-01T02:00:00Z'), '2025-01-02T02:00:00.000Z');
+  assert.strictEqual(next('*/15 * * * *', '2025-01-01T10:07:30Z'), '2025-01-01T10:15:00.000Z');
+  assert.strictEqual(next('@monthly', '2025-01-15T00:00:00Z'), '2025-02-01T00:00:00.000Z');
+});
+
+test('restricted day of month and day of week match either one', () => {
+  // 2025-01-06 is a Monday; the 1st of February comes later
+  assert.strictEqual(next('0 0 1 * 1', '2025-01-02T00:00:00Z'), '2025-01-06T00:00:00.000Z');
+  assert.strictEqual(next('0 0 1 * 1', '2025-01-27T00:00:00Z'), '2025-02-01T00:00:00.000Z');
+});
+
+test('a step in a day field does not restrict it, so both must match', () => {
+  // Odd days of the month that are also Mondays - in January 2025, the 13th and 27th
+  assert.strictEqual(next('0 0 */2 * 1', '2025-01-01T00:00:00Z'), '2025-01-13T00:00:00.000Z');
+  assert.strictEqual(next('0 0 */2 * 1', '2025-01-13T00:00:00Z'), '2025-01-27T00:00:00.000Z');
+
+  // Sunday, Tuesday, Thursday and Saturday - 2025-01-01 is a Wednesday
+  assert.strictEqual(next('0 0 * * */2', '2025-01-01T00:00:00Z'), '2025-01-02T00:00:00.000Z');
+});
+
+test('names, ranges and lists', () => {
+  assert.strictEqual(next('30 9 * * mon-fri', '2025-01-03T10:00:00Z'), '2025-01-06T09:30:00.000Z');
+  assert.strictEqual(next('0 0 1 jan,jul *', '2025-02-01T00:00:00Z'), '2025-07-01T00:00:00.000Z');
+});
+
+test('invalid and impossible expressions', () => {
+  assert.throws(() => new CronExpression('61 * * * *'), /Invalid minute "61"/);
+  assert.throws(() => new CronExpression('* * * *'), /5 fields/);
+  assert.strictEqual(new CronExpression('0 0 31 2 *').next(at('2025-01-01T00:00:00Z')), null);
+});
@@ -0,0 +1,76 @@
+/**
+ * Dead-letter queue: failed tasks are parked, kept on disk, replayed or purged
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The queue reads its settings when it's first required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-queue-dlq-'));
+process.env.TASK_STORE_PATH = path.join(dataDir, 'tasks.jsonl');
+
+const queueManager = require('../backend/queue');
+const TaskStore = require('../backend/store');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const forbidden = Object.assign(new Error('HTTP 403: Forbidden'), { code: 'HTTP_403' });
+
+/**
+ * A task that failed with a permanent error, straight into the DLQ
+ */
+function deadLetter(prompt) {
+  const task = queueManager.createTask(prompt, { provider: 'simulated', generationOptions: {} });
+  queueManager.startProcessing(task.id);
+  queueManager.failTask(task.id, forbidden, false);
+  return task;
+}
+
+test('a permanent error skips retries and lands in the DLQ, on disk too', () => {
+  const task = deadLetter('a cat');
+
+  assert.strictEqual(task.state, 'failed');
+  assert.strictEqual(task.retryCount, 0);
+  assert.strictEqual(task.failureReason, 'permanent_error');
+  assert.strictEqual(queueManager.getDeadLetter(task.id), task);
+  assert.ok(!queueManager.getAllTasks().includes(task), 'no longer in the live queue');
+
+  assert.ok(new TaskStore(queueManager.deadLetterStore.filePath).load().has(task.id));
+  assert.ok(!new TaskStore(queueManager.store.filePath).load().has(task.id));
+});
+
+test('a replay starts over with a fresh retry budget and keeps its history', () => {
+  const task = deadLetter('a dog');
+  const replayed = queueManager.replayDeadLetter(task.id, { priority: 'high' });
+
+  assert.strictEqual(replayed.id, task.id);
+  assert.strictEqual(replayed.state, 'pending');
+  assert.strictEqual(replayed.priority, 'high');
+  assert.strictEqual(replayed.retryCount, 0);
+  assert.strictEqual(replayed.replayCount, 1);
+  assert.strictEqual(replayed.attempts.length, 1, 'the failed attempt stays visible');
+  assert.strictEqual(queueManager.getDeadLetter(task.id), undefined);
+});
+
+test('a bulk replay stops once the queue is full', () => {
+  const first = deadLetter('a fox');
+  const second = deadLetter('a hare');
+  queueManager.MAX_QUEUE_SIZE = queueManager.getActiveCount() + 1;
+
+  const { replayed, skipped } = queueManager.replayDeadLetters([first.id, second.id]);
+
+  assert.deepStrictEqual(replayed, [first.id]);
+  assert.deepStrictEqual(skipped, [second.id]);
+  assert.ok(queueManager.getDeadLetter(second.id), 'a skipped task stays in the DLQ');
+});
+
+test('purging deletes dead letters for good', () => {
+  const { purged } = queueManager.purgeDeadLetters();
+
+  assert.ok(purged.length > 0);
+  assert.strictEqual(queueManager.getDeadLetters().length, 0);
+  assert.strictEqual(new TaskStore(queueManager.deadLetterStore.filePath).load().size, 0);
+});
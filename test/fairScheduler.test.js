@@ -0,0 +1,36 @@
+/**
+ * Fair scheduling: a task put back in line gets its submitter's turn back
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The queue reads its settings when it's first required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-queue-fair-'));
+process.env.TASK_STORE_PATH = path.join(dataDir, 'tasks.jsonl');
+process.env.SCHEDULING_POLICY = 'weighted';
+
+const queueManager = require('../backend/queue');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const options = { priority: 'normal', provider: 'simulated', generationOptions: {} };
+
+test('releaseTask does not charge the submitter for a turn it never used', () => {
+  const first = queueManager.createTask('a fox', { ...options, owner: 'alice' });
+  queueManager.createTask('a hare', { ...options, owner: 'alice' });
+  queueManager.createTask('a badger', { ...options, owner: 'bob' });
+
+  assert.strictEqual(queueManager.getNextPendingTask().id, first.id);
+
+  // Started, then every circuit turned out to be open
+  queueManager.startProcessing(first.id);
+  assert.strictEqual(queueManager.getNextPendingTask().owner, 'bob');
+  queueManager.releaseTask(first.id);
+
+  // Still alice's turn, and still her oldest task
+  assert.strictEqual(queueManager.getNextPendingTask().id, first.id);
+});
@@ -0,0 +1,45 @@
+/**
+ * Idempotency keys: a reused key must come with the same request
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The queue reads its settings when it's first required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-queue-idempotency-'));
+process.env.TASK_STORE_PATH = path.join(dataDir, 'tasks.jsonl');
+
+const queueManager = require('../backend/queue');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const options = { priority: 'normal', provider: 'simulated', fallbackProvider: null, generationOptions: {} };
+
+/**
+ * Would a request with this key and these fields replay the original task (true) or be a 422 (false)?
+ */
+function replays(key, fields) {
+  const existing = queueManager.findByIdempotencyKey(key, 'alice');
+  return existing.requestFingerprint === queueManager.requestFingerprint('a fox', { ...options, ...fields });
+}
+
+test('the same runAt replays, a different runAt does not', () => {
+  const runAt = Date.now() + 60000;
+  queueManager.createTask('a fox', { ...options, owner: 'alice', idempotencyKey: 'run-at', runAt });
+
+  assert.strictEqual(replays('run-at', { runAt }), true);
+  assert.strictEqual(replays('run-at', { runAt: runAt + 1000 }), false);
+  assert.strictEqual(replays('run-at', {}), false);
+});
+
+test('the same callbackUrl replays, a different one does not', () => {
+  const callbackUrl = 'https://example.com/hooks/images';
+  queueManager.createTask('a fox', { ...options, owner: 'alice', idempotencyKey: 'callback', callbackUrl });
+
+  assert.strictEqual(replays('callback', { callbackUrl }), true);
+  assert.strictEqual(replays('callback', { callbackUrl: 'https://example.com/hooks/other' }), false);
+  assert.strictEqual(replays('callback', {}), false);
+});
@@ -0,0 +1,17 @@
+/**
+ * Local provider: follows the provider contract for cancellation
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const LocalProvider = require('../backend/localProvider');
+
+test('an aborted signal rejects with a CANCELLED error that is not retried', async () => {
+  const controller = new AbortController();
+  controller.abort();
+
+  await assert.rejects(
+    new LocalProvider().generateImage('a cat', {}, null, controller.signal),
+    { code: 'CANCELLED', isRetryable: false }
+  );
+});
@@ -0,0 +1,61 @@
+/**
+ * Mock mode: injected provider failures move through the queue's retry logic
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The queue reads its settings when it's first required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-queue-mock-'));
+process.env.TASK_STORE_PATH = path.join(dataDir, 'tasks.jsonl');
+
+const queueManager = require('../backend/queue');
+const SimulatedProvider = require('../backend/simulatedProvider');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const noErrors = { '429': 0, '500': 0, '503': 0, '403': 0, timeout: 0, invalid_content: 0 };
+const alwaysDown = new SimulatedProvider({
+  latency: { distribution: 'fixed', mean: 1, min: 1, max: 1 },
+  errorRates: { ...noErrors, '503': 1 }
+});
+
+/**
+ * One pass through the worker's steps: start, call the provider, report the failure
+ */
+async function attempt(taskId) {
+  queueManager.startProcessing(taskId);
+  const error = await alwaysDown.generateImage('a cat', {}, null, queueManager.getAbortSignal(taskId))
+    .then(() => assert.fail('the simulator should have failed'), error => error);
+  return queueManager.failTask(taskId, error, error.isRetryable);
+}
+
+test('a 503 is retried with backoff until its policy runs out, then dead-lettered', async () => {
+  const task = queueManager.createTask('a cat', { provider: 'simulated', generationOptions: {} });
+  const maxAttempts = queueManager.getRetryPolicy('HTTP_503').maxAttempts;
+
+  for (let retry = 1; retry < maxAttempts; retry++) {
+    const before = Date.now();
+    await attempt(task.id);
+
+    assert.strictEqual(task.state, 'retrying');
+    assert.strictEqual(task.retryCount, retry);
+    assert.strictEqual(task.error.code, 'HTTP_503');
+    assert.strictEqual(task.retryPolicy, 'HTTP_503');
+    assert.strictEqual(task.retryDelaySource, 'backoff');
+    assert.ok(task.nextRetryAt >= before, 'the retry waits out a backoff delay');
+
+    queueManager.requeueForRetry(task.id);
+    assert.strictEqual(task.state, 'pending');
+  }
+
+  await attempt(task.id);
+
+  assert.strictEqual(task.state, 'failed');
+  assert.strictEqual(task.attempts.length, maxAttempts);
+  assert.ok(task.attempts.every(({ outcome, error }) => outcome === 'failed' && error.code === 'HTTP_503'));
+  assert.strictEqual(queueManager.getDeadLetter(task.id).failureReason, 'retries_exhausted');
+});
@@ -0,0 +1,54 @@
+/**
+ * Result cache: reuse only within one owner
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The queue reads its settings when it's first required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-queue-cache-'));
+process.env.TASK_STORE_PATH = path.join(dataDir, 'tasks.jsonl');
+process.env.RESULT_CACHE = 'true';
+
+const queueManager = require('../backend/queue');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const request = { provider: 'simulated', generationOptions: { seed: 42 } };
+
+function generate(owner) {
+  const task = queueManager.createTask('a cat in a hat', { ...request, owner });
+  queueManager.startProcessing(task.id);
+  return queueManager.completeTask(task.id, { hash: 'f00d', generatedAt: Date.now(), provider: 'simulated' });
+}
+
+test('the same owner gets its earlier result back', () => {
+  const original = generate('alice');
+  const repeat = queueManager.createTask('A cat  in a hat ', { ...request, owner: 'alice' });
+
+  assert.strictEqual(repeat.state, 'completed');
+  assert.strictEqual(repeat.result.cacheHit, true);
+  assert.strictEqual(repeat.result.cachedFrom, original.id);
+});
+
+test("two keys sending the same request don't share results", () => {
+  const alices = generate('alice');
+  const bobs = queueManager.createTask('a cat in a hat', { ...request, owner: 'bob' });
+
+  assert.strictEqual(bobs.state, 'pending');
+  assert.strictEqual(bobs.result, null);
+  assert.notStrictEqual(queueManager.getTask(bobs.id).result?.cachedFrom, alices.id);
+});
+
+test('restored cache keys stay scoped per owner', () => {
+  queueManager.restore();
+  const bobs = queueManager.createTask('a cat in a hat', { ...request, owner: 'bob' });
+  const alices = queueManager.createTask('a cat in a hat', { ...request, owner: 'alice' });
+
+  assert.strictEqual(bobs.state, 'pending');
+  assert.strictEqual(alices.result?.cacheHit, true);
+  assert.strictEqual(queueManager.getTask(alices.result.cachedFrom).owner, 'alice');
+});
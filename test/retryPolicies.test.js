@@ -0,0 +1,89 @@
+/**
+ * Retry policies: per-error-code delays and attempt limits, and Retry-After
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The queue reads its settings when it's first required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-queue-retry-'));
+process.env.TASK_STORE_PATH = path.join(dataDir, 'tasks.jsonl');
+
+const queueManager = require('../backend/queue');
+const { loadPolicies } = require('../backend/retryPolicies');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+/**
+ * Start a fresh task and fail it with `error`
+ */
+function failOnce(error) {
+  const task = queueManager.createTask('a cat', { provider: 'simulated', generationOptions: {} });
+  queueManager.startProcessing(task.id);
+  queueManager.failTask(task.id, error, true);
+  return task;
+}
+
+test('error codes map to their policy, unknown ones to the default', () => {
+  assert.strictEqual(queueManager.getRetryPolicy('HTTP_429').name, 'HTTP_429');
+  assert.strictEqual(queueManager.getRetryPolicy('ECONNRESET').name, 'NETWORK');
+  assert.strictEqual(queueManager.getRetryPolicy('SOMETHING_ELSE').name, 'default');
+});
+
+test('each jitter strategy stays within its bounds', () => {
+  const policy = { baseDelay: 1000, maxDelay: 6000 };
+
+  for (let i = 0; i < 100; i++) {
+    assert.strictEqual(queueManager.calculateBackoff(3, { ...policy, jitter: 'none' }), 4000);
+    assert.strictEqual(queueManager.calculateBackoff(10, { ...policy, jitter: 'none' }), 6000, 'capped at maxDelay');
+
+    const full = queueManager.calculateBackoff(3, { ...policy, jitter: 'full' });
+    assert.ok(full >= 0 && full < 4000);
+
+    const proportional = queueManager.calculateBackoff(3, { ...policy, jitter: 'proportional' });
+    assert.ok(proportional >= 3500 && proportional <= 4500);
+
+    const decorrelated = queueManager.calculateBackoff(3, { ...policy, jitter: 'decorrelated' }, 1500);
+    assert.ok(decorrelated >= 1000 && decorrelated <= 4500);
+  }
+});
+
+test('a policy sets how many attempts a task gets', () => {
+  const error = Object.assign(new Error('API did not return an image'), { code: 'INVALID_RESPONSE' });
+  const task = failOnce(error);
+  const { maxAttempts } = queueManager.getRetryPolicy('INVALID_RESPONSE');
+
+  assert.strictEqual(task.maxRetries, maxAttempts - 1);
+  while (task.state === 'retrying') {
+    queueManager.requeueForRetry(task.id);
+    queueManager.startProcessing(task.id);
+    queueManager.failTask(task.id, error, true);
+  }
+  assert.strictEqual(task.attempts.length, maxAttempts);
+});
+
+test('Retry-After wins over the backoff curve, up to MAX_RETRY_AFTER', () => {
+  const rateLimited = (retryAfterMs) => Object.assign(new Error('HTTP 429'), { code: 'HTTP_429', retryAfterMs });
+
+  const polite = failOnce(rateLimited(7000));
+  assert.strictEqual(polite.retryDelaySource, 'retry-after');
+  assert.strictEqual(polite.lastRetryDelay, 7000);
+
+  const greedy = failOnce(rateLimited(24 * 60 * 60 * 1000));
+  assert.strictEqual(greedy.lastRetryDelay, queueManager.MAX_RETRY_AFTER);
+});
+
+test('RETRY_POLICIES overrides merge into the defaults', () => {
+  const policies = loadPolicies('{"HTTP_429":{"maxAttempts":10},"HTTP_418":{"baseDelay":50}}');
+
+  assert.strictEqual(policies.HTTP_429.maxAttempts, 10);
+  assert.strictEqual(policies.HTTP_429.jitter, 'decorrelated', 'unset fields keep their defaults');
+  assert.strictEqual(policies.HTTP_418.baseDelay, 50);
+  assert.strictEqual(policies.HTTP_418.maxAttempts, policies.default.maxAttempts, 'new codes start from the default');
+
+  assert.throws(() => loadPolicies('{"HTTP_429":{"jitter":"sometimes"}}'), /jitter must be one of/);
+  assert.throws(() => loadPolicies('not json'), /not valid JSON/);
+});
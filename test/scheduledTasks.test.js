@@ -0,0 +1,61 @@
+/**
+ * Scheduled tasks: far-future work must not fill the queue for everyone else
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The queue reads its settings when it's first required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-queue-scheduled-'));
+process.env.TASK_STORE_PATH = path.join(dataDir, 'tasks.jsonl');
+process.env.MAX_SCHEDULED_PER_OWNER = '3';
+
+const queueManager = require('../backend/queue');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const options = { priority: 'normal', provider: 'simulated', generationOptions: {} };
+const nextWeek = () => Date.now() + 7 * 24 * 60 * 60 * 1000;
+
+test('scheduled tasks do not count toward MAX_QUEUE_SIZE', () => {
+  queueManager.MAX_QUEUE_SIZE = 2;
+
+  for (let i = 0; i < 3; i++) {
+    queueManager.createTask(`a fox ${i}`, { ...options, owner: 'mallory', runAt: nextWeek() });
+  }
+  assert.strictEqual(queueManager.getActiveCount(), 0);
+
+  // Someone else can still submit work that runs now
+  const task = queueManager.createTask('a hare', { ...options, owner: 'alice' });
+  assert.strictEqual(task.state, 'pending');
+  assert.strictEqual(queueManager.getActiveCount(), 1);
+});
+
+test('each owner can only have MAX_SCHEDULED_PER_OWNER tasks waiting', () => {
+  assert.throws(
+    () => queueManager.createTask('one more fox', { ...options, owner: 'mallory', runAt: nextWeek() }),
+    { code: 'SCHEDULED_LIMIT' }
+  );
+  assert.throws(
+    () => queueManager.createBatch(['a', 'b', 'c', 'd'], { ...options, owner: 'bob', runAt: nextWeek() }),
+    { code: 'SCHEDULED_LIMIT' },
+    'a batch counts every prompt'
+  );
+
+  // Other owners have their own allowance
+  const task = queueManager.createTask('a badger', { ...options, owner: 'bob', runAt: nextWeek() });
+  assert.strictEqual(task.state, 'scheduled');
+});
+
+test('a released task joins the queue even when it is full', () => {
+  const [waiting] = queueManager.getScheduledTasks().filter(task => task.owner === 'bob');
+  queueManager.createTask('a stoat', { ...options, owner: 'alice' });
+  assert.strictEqual(queueManager.getActiveCount(), queueManager.MAX_QUEUE_SIZE);
+
+  queueManager.releaseScheduled(waiting.id);
+  assert.strictEqual(queueManager.getTask(waiting.id).state, 'pending');
+  assert.strictEqual(queueManager.getActiveCount(), 3);
+});
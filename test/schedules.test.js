@@ -0,0 +1,52 @@
+/**
+ * Recurring schedules: per-owner limits and rate-limited runs
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The queue and schedules read their settings when they're first required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-queue-schedules-'));
+process.env.TASK_STORE_PATH = path.join(dataDir, 'tasks.jsonl');
+process.env.SCHEDULE_MAX_PER_OWNER = '3';
+
+const queueManager = require('../backend/queue');
+const schedules = require('../backend/schedules');
+const RateLimiter = require('../backend/rateLimiter');
+
+const limiter = new RateLimiter('key', { burst: 2, perMinute: 1 });
+const spec = { cron: '* * * * *', prompt: 'a lighthouse', priority: 'normal', provider: 'simulated', generationOptions: {} };
+
+before(() => schedules.start({ rateLimiter: limiter }));
+
+after(() => {
+  schedules.stop();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('each run costs the owner a token, and runs without one are skipped', () => {
+  const schedule = schedules.create({ ...spec, owner: 'alice' });
+
+  schedules.fire(schedule);
+  schedules.fire(schedule);
+  schedules.fire(schedule);
+
+  const created = queueManager.getAllTasks().filter(task => task.scheduleId === schedule.id);
+  assert.strictEqual(created.length, 2);
+  assert.strictEqual(schedule.runCount, 2);
+  assert.match(schedule.lastError.message, /Rate limit exceeded/);
+  assert.strictEqual(limiter.status('alice').remaining, 0);
+  assert.strictEqual(limiter.status('bob').remaining, 2); // Other owners' buckets are untouched
+});
+
+test('an owner can have at most SCHEDULE_MAX_PER_OWNER schedules', () => {
+  schedules.create({ ...spec, owner: 'carol' });
+  schedules.create({ ...spec, owner: 'carol' });
+  schedules.create({ ...spec, owner: 'carol' });
+
+  assert.throws(() => schedules.create({ ...spec, owner: 'carol' }), { code: schedules.SCHEDULE_LIMIT });
+  assert.doesNotThrow(() => schedules.create({ ...spec, owner: 'dave' }));
+});
@@ -0,0 +1,25 @@
+/**
+ * Simulated provider: reproducible per-prompt randomness with bounded memory
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SimulatedProvider = require('../backend/simulatedProvider');
+
+test('the same prompt and attempt get the same random stream', () => {
+  const first = new SimulatedProvider({ seed: 7 });
+  const second = new SimulatedProvider({ seed: 7 });
+
+  const attemptOne = first.createRandom('a cat')();
+  assert.strictEqual(attemptOne, second.createRandom('a cat')());
+  assert.notStrictEqual(attemptOne, first.createRandom('a cat')()); // A retry gets a fresh stream
+});
+
+test('attempt counts stay bounded however many prompts are seen', () => {
+  const provider = new SimulatedProvider();
+  for (let i = 0; i < 10050; i++) provider.createRandom(`prompt ${i}`);
+
+  assert.strictEqual(provider.callCounts.size, 10000);
+  assert.strictEqual(provider.callCounts.has('prompt 0'), false); // Least recently used went first
+  assert.strictEqual(provider.callCounts.get('prompt 10049'), 1);
+});
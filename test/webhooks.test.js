@@ -0,0 +1,131 @@
+/**
+ * Webhooks: signed deliveries, retries, and no callbacks into private networks
+ */
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// The queue and dispatcher read their settings when they're first required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-queue-webhooks-'));
+process.env.TASK_STORE_PATH = path.join(dataDir, 'tasks.jsonl');
+process.env.WEBHOOK_SECRET = 'test-secret';
+process.env.WEBHOOK_ALLOWED_PRIVATE_HOSTS = '127.0.0.1';
+process.env.WEBHOOK_BASE_DELAY_MS = '20';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+
+const queueManager = require('../backend/queue');
+const webhooks = require('../backend/webhooks');
+
+// A local receiver: each path answers with its list of status codes in turn (the last one repeats)
+const responses = { '/flaky': [500, 204], '/down': [503] };
+const received = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const seen = received.filter(request => request.path === req.url).length;
+    const codes = responses[req.url];
+    received.push({ path: req.url, headers: req.headers, body });
+    res.writeHead(codes[Math.min(seen, codes.length - 1)]).end();
+  });
+});
+
+let baseUrl;
+before(async () => {
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+  webhooks.start();
+});
+
+after(() => {
+  webhooks.stop();
+  receiver.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Run a task to completion with this callbackUrl and wait for its delivery to settle
+ */
+async function completeWithCallback(callbackUrl) {
+  const task = queueManager.createTask('a fox', { provider: 'simulated', callbackUrl });
+  queueManager.startProcessing(task.id);
+  queueManager.completeTask(task.id, { hash: 'f00d', generatedAt: Date.now(), provider: 'simulated' });
+
+  const deadline = Date.now() + 5000;
+  while (!['delivered', 'failed'].includes(queueManager.getTask(task.id).webhook?.status)) {
+    if (Date.now() > deadline) throw new Error('Delivery did not settle');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return queueManager.getTask(task.id);
+}
+
+function verifySignature(headers, body) {
+  const [, t, v1] = headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+  const expected = crypto.createHmac('sha256', 'test-secret').update(`${t}.${body}`).digest('hex');
+  return crypto.timingSafeEqual(Buffer.from(v1, 'hex'), Buffer.from(expected, 'hex'));
+}
+
+test('a failed delivery is retried, and every attempt is signed', async () => {
+  const task = await completeWithCallback(`${baseUrl}/flaky`);
+  const requests = received.filter(request => request.path === '/flaky');
+
+  assert.strictEqual(task.webhook.status, 'delivered');
+  assert.deepStrictEqual(task.webhook.attempts.map(attempt => attempt.statusCode), [500, 204]);
+  assert.strictEqual(requests.length, 2);
+
+  for (const { headers, body } of requests) {
+    assert.ok(verifySignature(headers, body));
+    assert.strictEqual(headers['x-webhook-id'], `${task.id}:task.completed`);
+    assert.strictEqual(JSON.parse(body).task.id, task.id);
+  }
+});
+
+test('delivery gives up after WEBHOOK_MAX_ATTEMPTS', async () => {
+  const task = await completeWithCallback(`${baseUrl}/down`);
+
+  assert.strictEqual(task.webhook.status, 'failed');
+  assert.strictEqual(task.webhook.attempts.length, 3);
+  assert.strictEqual(received.filter(request => request.path === '/down').length, 3);
+});
+
+test('callback URLs pointing into private networks are rejected', () => {
+  for (const url of [
+    'http://localhost/hook',
+    'http://127.0.0.2/hook',
+    'http://10.0.0.1/hook',
+    'http://192.168.1.10/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::1]/hook',
+    'http://[::ffff:10.0.0.1]/hook',
+    'http://2130706434/hook' // 127.0.0.2 as a number
+  ]) {
+    assert.match(webhooks.validateCallbackUrl(url), /private/, url);
+  }
+
+  assert.strictEqual(webhooks.validateCallbackUrl('https://example.com/hook'), null);
+  assert.strictEqual(webhooks.validateCallbackUrl(`${baseUrl}/hook`), null); // Allowed by WEBHOOK_ALLOWED_PRIVATE_HOSTS
+});
+
+test('a hostname resolving to a private address is refused without retrying', async () => {
+  // hooks.example.test resolves to the metadata endpoint
+  mock.method(dns, 'lookup', (hostname, options, callback) => (options.all
+    ? callback(null, [{ address: '169.254.169.254', family: 4 }])
+    : callback(null, '169.254.169.254', 4)));
+
+  try {
+    assert.strictEqual(webhooks.validateCallbackUrl('http://hooks.example.test/hook'), null);
+
+    const task = await completeWithCallback('http://hooks.example.test/hook');
+    assert.strictEqual(task.webhook.status, 'failed');
+    assert.strictEqual(task.webhook.attempts.length, 1);
+    assert.match(task.webhook.attempts[0].error, /private address 169\.254\.169\.254/);
+  } finally {
+    mock.restoreAll();
+  }
+});